@@ -3,11 +3,16 @@ const ctx = canvas.getContext('2d');
 const clearBtn = document.getElementById('clearBtn');
 const undoBtn = document.getElementById('undoBtn');
 const redoBtn = document.getElementById('redoBtn');
+const historyTab = document.getElementById('tab-history');
+const historyScrub = document.getElementById('historyScrub');
+const historyScrubLabel = document.getElementById('historyScrubLabel');
+const historyStrip = document.getElementById('historyStrip');
+const historyBranches = document.getElementById('historyBranches');
 
 // --- Digging Mode State ---
 let diggingMode = false;
 let slimeMode = false;
-let savedGardenState = null;   // {h, r, g, b} snapshot
+let savedGardenState = null;   // {h, r, g, b, noiseSeed} snapshot
 let savedCoreState = null;     // Persisted core session snapshot while in sandbox
 let savedSlimeState = null;    // Persisted slime session snapshot while in sandbox
 let savedSlimeToolState = null;
@@ -163,12 +168,53 @@ function getDailyQuote() {
   return ZEN_QUOTES[Math.floor(Math.random() * ZEN_QUOTES.length)];
 }
 
+// --- Seedable PRNG (mulberry32) ---
+// Everything that shapes the sand draws from a seeded stream, so a stroke log
+// plus its seeds reproduces a garden exactly.
+const NOISE_SEED_SALT = 0x9e3779b9;
+
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomSeed() {
+  return (Math.random() * 4294967296) >>> 0;
+}
+
+let noiseSeed = 0;                          // seed of the current noiseMap
+const fxRandom = createRng(randomSeed());   // particle scatter (visual only)
+let slimeSeed = randomSeed();
+let slimeRandom = createRng(slimeSeed);     // slime spawner, reseeded per session
+
 // --- Undo/Redo System ---
-const MAX_UNDO = 10;
-const undoStack = [];
-const redoStack = [];
+// History is a tree: drawing after an undo starts a new branch instead of
+// discarding the redo path. Each node stores only the tiles its step touched.
+// Carving calls historyTouchRect() before writing, which snapshots each tile
+// the first time the open step reaches it; the "after" side is captured when
+// the step is undone. Once over budget, stale branches are dropped first, then
+// the oldest steps are folded into the root.
+const HISTORY_TILE = 16;
+const HISTORY_THUMB_W = 96;
+const HISTORY_BUDGET_BYTES = 64 * 1024 * 1024;
+const HISTORY_MAX_STEPS = 500;
+let historyRoot = null;      // oldest reachable state (no tiles)
+let historyCurrent = null;   // node whose state is on screen
+let historyEntry = null;     // node currently collecting tiles
+let historyNodes = [];       // every live node, oldest first
+let historyBytes = 0;
+let historySerial = 0;
+let historyTileStamp = null; // per tile: id of the last node that saved it
+let historyTilesX = 0, historyTilesY = 0;
 
 function getCurrentState() {
+  settleSandWorker();
   return {
     h: new Float32Array(sandHeight),
     r: new Float32Array(sandR),
@@ -177,71 +223,716 @@ function getCurrentState() {
   };
 }
 
+function createHistoryNode(parent) {
+  const node = {
+    id: ++historySerial,
+    parent,
+    children: [],
+    activeChild: null,       // child that redo follows
+    depth: parent ? parent.depth + 1 : 0,
+    time: Date.now(),
+    tiles: [],
+    before: [],
+    after: null,
+    bytes: 0,
+    thumb: null,             // ImageData preview of the state after this step
+    logEntry: null           // stroke-log entry this step produced
+  };
+  historyNodes.push(node);
+  return node;
+}
+
+function initHistoryTiles() {
+  historyTilesX = Math.ceil(W / HISTORY_TILE);
+  historyTilesY = Math.ceil(H / HISTORY_TILE);
+  historyTileStamp = new Uint32Array(historyTilesX * historyTilesY);
+  clearHistory();
+}
+
+function clearHistory() {
+  historyNodes = [];
+  historyBytes = 0;
+  historyEntry = null;
+  historyRoot = createHistoryNode(null);
+  historyCurrent = historyRoot;
+}
+
+function getHistoryTileRect(t) {
+  const tx = t % historyTilesX;
+  const ty = (t - tx) / historyTilesX;
+  const x0 = tx * HISTORY_TILE;
+  const y0 = ty * HISTORY_TILE;
+  return [x0, y0, Math.min(HISTORY_TILE, W - x0), Math.min(HISTORY_TILE, H - y0)];
+}
+
+// Tile data is packed as four planes: height, r, g, b
+function readHistoryTile(t, out) {
+  const [x0, y0, tw, th] = getHistoryTileRect(t);
+  const n = tw * th;
+  for (let y = 0, o = 0; y < th; y++, o += tw) {
+    const row = (y0 + y) * W + x0;
+    out.set(sandHeight.subarray(row, row + tw), o);
+    out.set(sandR.subarray(row, row + tw), o + n);
+    out.set(sandG.subarray(row, row + tw), o + n * 2);
+    out.set(sandB.subarray(row, row + tw), o + n * 3);
+  }
+}
+
+function writeHistoryTile(t, data) {
+  const [x0, y0, tw, th] = getHistoryTileRect(t);
+  const n = tw * th;
+  for (let y = 0, o = 0; y < th; y++, o += tw) {
+    const row = (y0 + y) * W + x0;
+    sandHeight.set(data.subarray(o, o + tw), row);
+    sandR.set(data.subarray(o + n, o + n + tw), row);
+    sandG.set(data.subarray(o + n * 2, o + n * 2 + tw), row);
+    sandB.set(data.subarray(o + n * 3, o + n * 3 + tw), row);
+  }
+  markDirtyRect(x0, y0, x0 + tw - 1, y0 + th - 1);
+  autosaveDirty = true;
+}
+
+// Call before modifying pixels in [x0..x1] x [y0..y1] (inclusive)
+function historyTouchRect(x0, y0, x1, y1) {
+  const node = historyEntry;
+  if (!node) return;
+  const tx0 = Math.max(0, Math.floor(x0 / HISTORY_TILE));
+  const ty0 = Math.max(0, Math.floor(y0 / HISTORY_TILE));
+  const tx1 = Math.min(historyTilesX - 1, Math.floor(x1 / HISTORY_TILE));
+  const ty1 = Math.min(historyTilesY - 1, Math.floor(y1 / HISTORY_TILE));
+  for (let ty = ty0; ty <= ty1; ty++) {
+    for (let tx = tx0; tx <= tx1; tx++) {
+      const t = ty * historyTilesX + tx;
+      if (historyTileStamp[t] === node.id) continue;
+      historyTileStamp[t] = node.id;
+      const [, , tw, th] = getHistoryTileRect(t);
+      const data = new Float32Array(tw * th * 4);
+      readHistoryTile(t, data);
+      node.tiles.push(t);
+      node.before.push(data);
+      node.bytes += data.byteLength;
+      historyBytes += data.byteLength;
+    }
+  }
+}
+
+// Shade a preview straight from the sand fields, so it doesn't depend on
+// which renderer drew the canvas
+function captureHistoryThumb(node) {
+  const thumb = shadeGardenPreview({
+    w: W,
+    h: H,
+    sandHeight,
+    sandR,
+    sandG,
+    sandB,
+    quote: diggingMode ? quotePixels : null,
+    slime: slimeMode ? slimeDisplayAmount || slimeAmount : null
+  }, HISTORY_THUMB_W);
+  if (node.thumb) {
+    node.thumb.data.set(thumb.data);
+  } else {
+    node.thumb = thumb;
+    node.bytes += thumb.data.length;
+    historyBytes += thumb.data.length;
+  }
+  drawHistoryThumbCanvas(node);
+}
+
+function closeHistoryEntry() {
+  settleSandWorker();
+  const node = historyEntry;
+  if (!node) return;
+  historyEntry = null;
+  captureHistoryThumb(node);
+  trimHistory();
+  updateHistoryBtns();
+}
+
+function detachHistoryNode(node) {
+  const parent = node.parent;
+  parent.children.splice(parent.children.indexOf(node), 1);
+  if (parent.activeChild === node) {
+    parent.activeChild = parent.children[parent.children.length - 1] || null;
+  }
+  const removed = new Set();
+  const stack = [node];
+  while (stack.length) {
+    const n = stack.pop();
+    removed.add(n);
+    historyBytes -= n.bytes;
+    stack.push(...n.children);
+  }
+  historyNodes = historyNodes.filter((n) => !removed.has(n));
+}
+
+function trimHistory() {
+  while (historyBytes > HISTORY_BUDGET_BYTES || historyNodes.length > HISTORY_MAX_STEPS) {
+    const onPath = new Set();
+    for (let n = historyCurrent; n; n = n.parent) onPath.add(n);
+    // Drop the oldest leaf off the current path first
+    const leaf = historyNodes.find((n) => n.children.length === 0 && !onPath.has(n));
+    if (leaf) {
+      detachHistoryNode(leaf);
+      continue;
+    }
+    // Otherwise fold the first step of the current path into the root
+    let next = historyCurrent;
+    while (next.parent && next.parent !== historyRoot) next = next.parent;
+    if (next === historyRoot || next === historyEntry) break;
+    for (const c of historyRoot.children.slice()) {
+      if (c !== next) detachHistoryNode(c);
+    }
+    historyBytes -= next.bytes;
+    next.bytes = next.thumb ? next.thumb.data.length : 0;
+    historyBytes += next.bytes;
+    next.tiles = [];
+    next.before = [];
+    next.after = null;
+    next.logEntry = null;
+    next.parent = null;
+    historyBytes -= historyRoot.bytes;
+    historyNodes.splice(historyNodes.indexOf(historyRoot), 1);
+    historyRoot = next;
+  }
+}
+
 function saveState() {
-  // Clear redo stack on new action
-  redoStack.length = 0;
-  
-  if (undoStack.length >= MAX_UNDO) {
-    undoStack.shift(); // Remove oldest state
+  closeHistoryEntry();
+  if (!historyCurrent.thumb) captureHistoryThumb(historyCurrent);
+  const node = createHistoryNode(historyCurrent);
+  historyCurrent.children.push(node);
+  historyCurrent.activeChild = node;
+  historyCurrent = node;
+  historyEntry = node;
+  trimHistory();
+  updateHistoryBtns();
+}
+
+// Move from the current node to its parent
+function stepHistoryBack() {
+  const node = historyCurrent;
+  if (!node.after) {
+    node.after = node.before.map((data) => new Float32Array(data.length));
+    for (const data of node.after) {
+      node.bytes += data.byteLength;
+      historyBytes += data.byteLength;
+    }
+  }
+  for (let i = 0; i < node.tiles.length; i++) {
+    readHistoryTile(node.tiles[i], node.after[i]);
+    writeHistoryTile(node.tiles[i], node.before[i]);
+  }
+  if (node.logEntry && strokeLog) strokeLog.entries.pop();
+  node.parent.activeChild = node;
+  historyCurrent = node.parent;
+}
+
+// Move from the current node to one of its children
+function stepHistoryForward(child) {
+  for (let i = 0; i < child.tiles.length; i++) {
+    writeHistoryTile(child.tiles[i], child.after[i]);
   }
-  undoStack.push(getCurrentState());
+  if (child.logEntry && strokeLog) strokeLog.entries.push(child.logEntry);
+  historyCurrent.activeChild = child;
+  historyCurrent = child;
+}
+
+function jumpToHistoryNode(target) {
+  if (replayState || target === historyCurrent) return;
+  endStrokeRecord();
+  closeHistoryEntry();
+  const targetPath = new Set();
+  for (let n = target; n; n = n.parent) targetPath.add(n);
+  while (!targetPath.has(historyCurrent)) stepHistoryBack();
+  const down = [];
+  for (let n = target; n !== historyCurrent; n = n.parent) down.push(n);
+  for (let i = down.length - 1; i >= 0; i--) stepHistoryForward(down[i]);
+  requestRender();
   updateHistoryBtns();
 }
 
 function undo() {
-  if (undoStack.length === 0) return;
+  if (historyCurrent === historyRoot || replayState) return;
   gtag('event', 'undo');
   tlResumeForInteraction();
-
-  // Save current state to redo stack before undoing
-  redoStack.push(getCurrentState());
-
-  const state = undoStack.pop();
-  sandHeight.set(state.h);
-  sandR.set(state.r);
-  sandG.set(state.g);
-  sandB.set(state.b);
-
-  markFullDirty();
+  endStrokeRecord();
+  closeHistoryEntry();
+  stepHistoryBack();
   requestRender();
   updateHistoryBtns();
   tlScheduleIdlePause();
 }
 
 function redo() {
-  if (redoStack.length === 0) return;
+  if (!historyCurrent.activeChild || replayState) return;
   gtag('event', 'redo');
   tlResumeForInteraction();
-
-  // Save current state to undo stack before redoing
-  if (undoStack.length >= MAX_UNDO) {
-    undoStack.shift();
-  }
-  undoStack.push(getCurrentState());
-
-  const state = redoStack.pop();
-  sandHeight.set(state.h);
-  sandR.set(state.r);
-  sandG.set(state.g);
-  sandB.set(state.b);
-
-  markFullDirty();
+  closeHistoryEntry();
+  stepHistoryForward(historyCurrent.activeChild);
   requestRender();
   updateHistoryBtns();
   tlScheduleIdlePause();
 }
 
 function updateHistoryBtns() {
-  undoBtn.disabled = undoStack.length === 0;
-  undoBtn.style.opacity = undoStack.length === 0 ? '0.5' : '1';
-  
-  redoBtn.disabled = redoStack.length === 0;
-  redoBtn.style.opacity = redoStack.length === 0 ? '0.5' : '1';
+  const canUndo = historyCurrent !== historyRoot;
+  const canRedo = !!historyCurrent.activeChild;
+  undoBtn.disabled = !canUndo;
+  undoBtn.style.opacity = canUndo ? '1' : '0.5';
+
+  redoBtn.disabled = !canRedo;
+  redoBtn.style.opacity = canRedo ? '1' : '0.5';
+  refreshHistoryPanel();
+}
+
+// --- History panel ---
+// Root-to-tip path of the branch the current node is on
+function getHistoryBranchPath() {
+  const path = [];
+  for (let n = historyCurrent; n; n = n.parent) path.unshift(n);
+  for (let n = historyCurrent.activeChild; n; n = n.activeChild) path.push(n);
+  return path;
+}
+
+// Thumbnail canvases are cached per node and reused by the strip and the
+// branch list, so a refresh only touches what actually changed
+let historyThumbCanvases = new WeakMap();
+let historyStripPath = [];   // nodes currently shown in the strip, in order
+let historyBranchKey = '';   // tips and forks the branch list was built for
+
+function getHistoryThumbCanvas(node) {
+  let cv = historyThumbCanvases.get(node);
+  if (!cv) {
+    cv = document.createElement('canvas');
+    cv.className = 'history-thumb';
+    cv.width = HISTORY_THUMB_W;
+    cv.height = Math.max(1, Math.round(H * HISTORY_THUMB_W / W));
+    historyThumbCanvases.set(node, cv);
+    drawHistoryThumbCanvas(node);
+  }
+  return cv;
+}
+
+function drawHistoryThumbCanvas(node) {
+  const cv = historyThumbCanvases.get(node);
+  if (!cv || !node.thumb) return;
+  cv.width = node.thumb.width;
+  cv.height = node.thumb.height;
+  cv.getContext('2d').putImageData(node.thumb, 0, 0);
+}
+
+function refreshHistoryPanel() {
+  if (!historyTab.classList.contains('active')) return;
+  const path = getHistoryBranchPath();
+  const base = historyRoot.depth;
+  historyScrub.max = path.length - 1;
+  historyScrub.value = historyCurrent.depth - base;
+  historyScrubLabel.textContent = `${historyCurrent.depth - base} / ${path.length - 1}`;
+
+  // Scrubbing and undo/redo stay on one path, so usually only the
+  // highlighted thumbnail moves
+  const samePath = path.length === historyStripPath.length && path.every((n, i) => n === historyStripPath[i]);
+  if (!samePath) {
+    historyStripPath = path;
+    historyStrip.replaceChildren(...path.map((node, i) => {
+      const cv = getHistoryThumbCanvas(node);
+      cv.title = i === 0 ? 'Start' : `Step ${i}`;
+      return cv;
+    }));
+  }
+  const currentThumb = getHistoryThumbCanvas(historyCurrent);
+  const previousThumb = historyStrip.querySelector('.current');
+  if (previousThumb !== currentThumb) {
+    if (previousThumb) previousThumb.classList.remove('current');
+    currentThumb.classList.add('current');
+    if (currentThumb.scrollIntoView) currentThumb.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+  }
+
+  // Every other branch ends in a leaf that isn't on the current path
+  const onPath = new Set(path);
+  const tips = historyNodes.filter((n) => n.children.length === 0 && !onPath.has(n)).reverse();
+  const forks = tips.map((tip) => {
+    let fork = tip;
+    while (!onPath.has(fork)) fork = fork.parent;
+    return fork;
+  });
+  const branchKey = `${base}:${tips.map((tip, i) => `${tip.id}@${forks[i].id}`).join(',')}`;
+  if (branchKey === historyBranchKey) return;
+  historyBranchKey = branchKey;
+  historyBranches.innerHTML = '';
+  if (tips.length === 0) {
+    historyBranches.innerHTML = '<div style="text-align: center; color: #5a4a35; font-size: 12px; padding: 12px;">Undo and draw something new to start a branch</div>';
+    return;
+  }
+  tips.forEach((tip, i) => {
+    const fork = forks[i];
+    const item = document.createElement('div');
+    item.className = 'save-item history-branch';
+    const cv = getHistoryThumbCanvas(tip);
+    cv.classList.remove('current');
+    cv.title = '';
+    item.appendChild(cv);
+    const info = document.createElement('div');
+    info.className = 'save-info';
+    info.innerHTML = `
+      <div class="save-name">${tip.depth - fork.depth} step${tip.depth - fork.depth === 1 ? '' : 's'} from step ${fork.depth - base}</div>
+      <div class="save-date">${new Date(tip.time).toLocaleTimeString()}</div>
+    `;
+    item.appendChild(info);
+    const actions = document.createElement('div');
+    actions.className = 'save-actions';
+    const switchBtn = document.createElement('button');
+    switchBtn.textContent = 'Switch';
+    switchBtn.onclick = () => {
+      gtag('event', 'history_branch_switch');
+      jumpToHistoryNode(tip);
+    };
+    actions.appendChild(switchBtn);
+    item.appendChild(actions);
+    historyBranches.appendChild(item);
+  });
 }
 
+historyStrip.addEventListener('click', (e) => {
+  const i = Array.prototype.indexOf.call(historyStrip.children, e.target);
+  if (i >= 0 && historyStripPath[i]) jumpToHistoryNode(historyStripPath[i]);
+});
+
+historyScrub.addEventListener('input', () => {
+  const path = getHistoryBranchPath();
+  const node = path[parseInt(historyScrub.value, 10)];
+  if (node) jumpToHistoryNode(node);
+});
+historyScrub.addEventListener('change', () => gtag('event', 'history_scrub'));
+
 undoBtn.addEventListener('click', undo);
 redoBtn.addEventListener('click', redo);
-updateHistoryBtns();
+
+// --- Stroke log (vector record of every sandbox stroke) ---
+// Every history step (stroke, clear or heightmap import) appends exactly one
+// entry and keeps it on its history node, so the log always matches the path to
+// the current node. Entries are plain JSON-safe objects; an imported height
+// field is kept in memory beside the log, like a snapshot log's base.
+const STROKE_LOG_VERSION = 1;
+let strokeLog = null;        // { version, w, h, origin, createdAt, entries: [] }
+let activeStroke = null;     // stroke entry being recorded while the rake is down
+let activeStrokeStart = 0;
+let strokeLogBase = null;    // buffers a 'snapshot' log starts from (in memory only)
+let strokeLogImports = new Map(); // import entry id -> height field it applied (in memory only)
+let strokeLogImportSerial = 0;
+
+function resetStrokeLog(origin = 'blank', entries = []) {
+  strokeLog = {
+    version: STROKE_LOG_VERSION,
+    w: W,
+    h: H,
+    origin,                  // 'blank' = starts from a cleared garden, 'snapshot' = starts from loaded buffers
+    noiseSeed,               // grain seed at the start of the log
+    createdAt: Date.now(),
+    entries
+  };
+  strokeLogBase = null;
+  strokeLogImports = new Map();
+  // New imports must not reuse the id of one whose height field is gone
+  for (const entry of entries) {
+    if (entry.type === 'import') strokeLogImportSerial = Math.max(strokeLogImportSerial, entry.id);
+  }
+  activeStroke = null;
+}
+
+function captureStrokeSettings() {
+  return {
+    rake: { ...cached },
+    solidRake: solidRakeMode,
+    rakeHead,
+    tineShape,
+    rakeAngle,
+    symmetry: {
+      mirrorV, mirrorH, mirrorD, alignCenter,
+      order: symmetryOrder,
+      reflect: symmetryReflect,
+      center: symmetryCenter,
+      axis: symmetryAxis
+    }
+  };
+}
+
+function pushStrokeLogEntry(entry) {
+  if (!strokeLog) return;
+  strokeLog.entries.push(entry);
+  if (historyCurrent !== historyRoot && !historyCurrent.logEntry) historyCurrent.logEntry = entry;
+}
+
+function beginStrokeRecord(input, x, y, stamped) {
+  if (isChallengeMode() || !strokeLog) return;
+  activeStrokeStart = performance.now();
+  activeStroke = {
+    type: 'stroke',
+    time: Date.now(),
+    input,
+    stamped,                 // true when the first point was carved on pointer down
+    settings: captureStrokeSettings(),
+    points: []
+  };
+  recordStrokePoint(x, y);
+}
+
+function recordStrokePoint(x, y) {
+  if (!activeStroke) return;
+  const [perpX, perpY] = getPerpAt(x, y);
+  activeStroke.points.push({
+    x,
+    y,
+    t: Math.round(performance.now() - activeStrokeStart),
+    perpX,
+    perpY,
+    gripX: mouseX,
+    gripY: mouseY
+  });
+}
+
+function endStrokeRecord() {
+  if (!activeStroke) return;
+  pushStrokeLogEntry(activeStroke);
+  activeStroke = null;
+}
+
+function serializeStrokeLog() {
+  return strokeLog ? JSON.parse(JSON.stringify(strokeLog)) : null;
+}
+
+// --- Replay engine ---
+// Re-runs a stroke log through the live carving path from its starting state.
+// Settings are swapped in per entry, so with the recorded seeds the result
+// matches the original garden bit for bit. The garden the user was working on
+// is put back when the replay stops.
+const REPLAY_ENTRY_GAP_MS = 300; // pause between entries during playback
+let replayState = null;          // { log, base, saved, savedNoiseSeed, index, pointIndex, clock, playing, lastTs, rafId }
+
+function canReplayStrokeLog() {
+  if (isChallengeMode() || !strokeLog || strokeLog.entries.length === 0) return false;
+  // Imports from an earlier visit left their height fields behind
+  if (strokeLog.entries.some((entry) => entry.type === 'import' && !strokeLogImports.has(entry.id))) return false;
+  return strokeLog.origin !== 'snapshot' || !!strokeLogBase;
+}
+
+function applyStrokeSettings(settings) {
+  Object.assign(cached, settings.rake);
+  solidRakeMode = settings.solidRake;
+  rakeHead = settings.rakeHead || null; // logs from before rake heads have none
+  tineShape = settings.tineShape || 'rounded';
+  rakeAngle = settings.rakeAngle;
+  ({ mirrorV, mirrorH, mirrorD, alignCenter } = settings.symmetry);
+  symmetryReflect = !!settings.symmetry.reflect;
+  symmetryOrder = snapSymmetryOrder(settings.symmetry.order || 1);
+  // Strokes from before the centre could move replay with the old mirrors
+  symmetryLegacy = !settings.symmetry.center;
+  symmetryCenter = toSymmetryCenter(settings.symmetry.center);
+  symmetryAxis = Number.isFinite(settings.symmetry.axis) ? settings.symmetry.axis : 0;
+  rebuildGaussKernel();
+}
+
+function withStrokeSettings(settings, fn) {
+  const live = captureStrokeSettings();
+  applyStrokeSettings(settings);
+  try {
+    fn();
+  } finally {
+    applyStrokeSettings(live);
+  }
+}
+
+function replayEntryLength(entry) {
+  return entry.type === 'stroke' ? entry.points.length : 1;
+}
+
+// Apply points [from, to) of one entry. Clears and imports are a single step.
+function applyReplayEntry(entry, from, to) {
+  if (entry.type === 'clear') {
+    if (from === 0 && to > 0) {
+      resetSandFromSeed(entry.seed ?? randomSeed());
+      markFullDirty();
+    }
+    return;
+  }
+  if (entry.type === 'import') {
+    if (from === 0 && to > 0) {
+      sandHeight.set(strokeLogImports.get(entry.id));
+      markFullDirty();
+    }
+    return;
+  }
+  // Center alignment derives the perpendicular from position, so only the
+  // handle/wheel orientation needs the recorded value.
+  const usePerp = !entry.settings.symmetry.alignCenter;
+  withStrokeSettings(entry.settings, () => {
+    for (let i = from; i < to; i++) {
+      const p = entry.points[i];
+      const perpX = usePerp ? p.perpX : undefined;
+      const perpY = usePerp ? p.perpY : undefined;
+      if (i === 0) {
+        lastX = p.x; lastY = p.y;
+        strokeDX = 0; strokeDY = 0;
+        if (entry.stamped) carveRakeSymmetric(p.x, p.y, cached.tineRadius, 0, 0, perpX, perpY);
+      } else {
+        strokeTo(p.x, p.y, perpX, perpY);
+      }
+    }
+  });
+}
+
+function resetReplayToBase() {
+  const rs = replayState;
+  if (rs.base) {
+    sandHeight.set(rs.base.h);
+    sandR.set(rs.base.r);
+    sandG.set(rs.base.g);
+    sandB.set(rs.base.b);
+  } else {
+    // 'blank' logs start from the zeroed buffers initGarden leaves behind
+    sandHeight.fill(0);
+    sandR.fill(0);
+    sandG.fill(0);
+    sandB.fill(0);
+  }
+  generateNoiseMap(rs.log.noiseSeed);
+  rs.index = 0;
+  rs.pointIndex = 0;
+  rs.clock = 0;
+  markFullDirty();
+}
+
+function startReplay() {
+  if (replayState || !canReplayStrokeLog()) return false;
+  endStrokeRecord();
+  closeHistoryEntry();
+  replayState = {
+    log: serializeStrokeLog(),
+    base: strokeLogBase,
+    saved: getCurrentState(),
+    savedNoiseSeed: noiseSeed,
+    index: 0,
+    pointIndex: 0,
+    clock: 0,
+    playing: false,
+    lastTs: 0,
+    rafId: null
+  };
+  resetReplayToBase();
+  requestRender();
+  updateReplayUI();
+  return true;
+}
+
+function stopReplay() {
+  const rs = replayState;
+  if (!rs) return;
+  if (rs.rafId !== null) cancelAnimationFrame(rs.rafId);
+  replayState = null;
+  sandHeight.set(rs.saved.h);
+  sandR.set(rs.saved.r);
+  sandG.set(rs.saved.g);
+  sandB.set(rs.saved.b);
+  generateNoiseMap(rs.savedNoiseSeed);
+  markFullDirty();
+  requestRender();
+  updateReplayUI();
+}
+
+// Finish the current entry (or apply the next one whole) and pause.
+function replayStep() {
+  const rs = replayState;
+  if (!rs) return;
+  replayPause();
+  const entry = rs.log.entries[rs.index];
+  if (!entry) return;
+  applyReplayEntry(entry, rs.pointIndex, replayEntryLength(entry));
+  rs.index++;
+  rs.pointIndex = 0;
+  rs.clock = 0;
+  requestRender();
+  updateReplayUI();
+}
+
+// Jump to the state after the first `index` entries.
+function replaySeek(index) {
+  const rs = replayState;
+  if (!rs) return;
+  const target = Math.max(0, Math.min(rs.log.entries.length, index));
+  if (target < rs.index || (target === rs.index && rs.pointIndex > 0)) {
+    resetReplayToBase();
+  }
+  while (rs.index < target) {
+    const entry = rs.log.entries[rs.index];
+    applyReplayEntry(entry, rs.pointIndex, replayEntryLength(entry));
+    rs.index++;
+    rs.pointIndex = 0;
+  }
+  rs.clock = 0;
+  requestRender();
+  updateReplayUI();
+}
+
+function replayPlay() {
+  const rs = replayState;
+  if (!rs || rs.playing) return;
+  if (rs.index >= rs.log.entries.length) replaySeek(0);
+  rs.playing = true;
+  rs.lastTs = 0;
+  rs.rafId = requestAnimationFrame(replayTick);
+  updateReplayUI();
+}
+
+function replayPause() {
+  const rs = replayState;
+  if (!rs || !rs.playing) return;
+  rs.playing = false;
+  if (rs.rafId !== null) cancelAnimationFrame(rs.rafId);
+  rs.rafId = null;
+  updateReplayUI();
+}
+
+// Plays entries back on their recorded point timestamps.
+function replayTick(ts) {
+  const rs = replayState;
+  if (!rs || !rs.playing) return;
+  // Clamp so a backgrounded tab doesn't dump a whole stroke in one frame
+  rs.clock += rs.lastTs ? Math.min(ts - rs.lastTs, 100) : 0;
+  rs.lastTs = ts;
+
+  while (rs.index < rs.log.entries.length) {
+    const entry = rs.log.entries[rs.index];
+    const len = replayEntryLength(entry);
+    if (rs.pointIndex < len) {
+      let to = rs.pointIndex;
+      if (entry.type === 'stroke') {
+        while (to < len && entry.points[to].t <= rs.clock) to++;
+      } else {
+        to = len;
+      }
+      if (to > rs.pointIndex) {
+        applyReplayEntry(entry, rs.pointIndex, to);
+        rs.pointIndex = to;
+      }
+      if (rs.pointIndex < len) break;
+    }
+    const endT = entry.type === 'stroke' && len > 0 ? entry.points[len - 1].t : 0;
+    if (rs.clock < endT + REPLAY_ENTRY_GAP_MS) break;
+    rs.index++;
+    rs.pointIndex = 0;
+    rs.clock = 0;
+  }
+
+  requestRender();
+  if (rs.index >= rs.log.entries.length) {
+    rs.playing = false;
+    rs.rafId = null;
+  } else {
+    rs.rafId = requestAnimationFrame(replayTick);
+  }
+  updateReplayUI();
+}
 
 // Keyboard shortcuts
 const heldKeys = new Set();
@@ -252,6 +943,21 @@ document.addEventListener('keydown', (e) => {
     closeCoreShareModal();
     return;
   }
+  if (e.key === 'Escape' && restoreSessionModal.classList.contains('open')) {
+    e.preventDefault();
+    closeRestoreSessionModal();
+    return;
+  }
+  if (e.key === 'Escape' && exportImageModal.classList.contains('open')) {
+    e.preventDefault();
+    closeExportImageModal();
+    return;
+  }
+  if (e.key === 'Escape' && rakeHeadModal.classList.contains('open')) {
+    e.preventDefault();
+    closeRakeHeadModal();
+    return;
+  }
   if (e.ctrlKey || e.metaKey) {
     const key = e.key.toLowerCase();
     if (key === 'z') {
@@ -298,6 +1004,14 @@ let fadeTouchedAt, fadeActiveMask;
 let fadeBaseHeight, fadeBaseR, fadeBaseG, fadeBaseB;
 const fadeActiveIdx = [];
 
+// When the page is cross-origin isolated the sand fields live in shared memory,
+// so the render worker reads them in place instead of being sent copies
+const SHARED_SAND_FIELDS = typeof SharedArrayBuffer !== 'undefined' && window.crossOriginIsolated === true;
+
+function createSandField(length) {
+  return SHARED_SAND_FIELDS ? new Float32Array(new SharedArrayBuffer(length * 4)) : new Float32Array(length);
+}
+
 function initGarden(width, height) {
   W = width;
   H = height;
@@ -305,20 +1019,165 @@ function initGarden(width, height) {
   canvas.height = H;
   
   totalPixels = W * H;
-  sandHeight = new Float32Array(totalPixels);
-  sandR = new Float32Array(totalPixels);
-  sandG = new Float32Array(totalPixels);
-  sandB = new Float32Array(totalPixels);
-  noiseMap = new Float32Array(totalPixels);
+  sandHeight = createSandField(totalPixels);
+  sandR = createSandField(totalPixels);
+  sandG = createSandField(totalPixels);
+  sandB = createSandField(totalPixels);
+  noiseMap = createSandField(totalPixels);
   initMarkFadeBuffers();
+  initHistoryTiles();
   
   imageData = ctx.createImageData(W, H);
   imageDataBuf = imageData.data;
   
   // Reset dirty tracking for new size
-  dirtyMinX = 0; dirtyMinY = 0;
-  dirtyMaxX = W - 1; dirtyMaxY = H - 1;
-  dirtyEmpty = false;
+  initDirtyTiles();
+}
+
+// --- Render quality ---
+// The garden is laid out in CSS pixels (gardenCssW x gardenCssH) but can
+// simulate and render at up to the device pixel ratio, capped per quality
+// level. Pixel-sized sliders follow through getScale(), so a rake looks the
+// same size at every quality, just sharper.
+const MAX_PIXEL_RATIO = 2;
+const QUALITY_RATIOS = { performance: 1, balanced: 1.5, sharp: MAX_PIXEL_RATIO };
+const PIXEL_SIZED_KEYS = new Set(['tineRadius', 'handleLength', 'spread', 'normD']);
+const WHOLE_PIXEL_KEYS = new Set(['spread', 'normD']);
+const renderQualitySelect = document.getElementById('renderQuality');
+let renderQuality = 'performance';
+let pixelRatio = 1;
+let gardenCssW = 0, gardenCssH = 0;
+
+function getQualityRatio(quality) {
+  const dpr = window.devicePixelRatio || 1;
+  return Math.max(1, Math.min(dpr, QUALITY_RATIOS[quality] || 1));
+}
+
+function sizeGardenCanvas() {
+  initGarden(Math.round(gardenCssW * pixelRatio), Math.round(gardenCssH * pixelRatio));
+  canvas.style.width = pixelRatio === 1 ? '' : gardenCssW + 'px';
+}
+
+function setRenderQuality(quality) {
+  const ratio = getQualityRatio(quality);
+  if (ratio !== pixelRatio && isChallengeMode()) {
+    alert('Leave the challenge before changing the render quality.');
+    renderQualitySelect.value = renderQuality;
+    return;
+  }
+  renderQuality = quality;
+  renderQualitySelect.value = quality;
+  if (ratio === pixelRatio) return;
+  pixelRatio = ratio;
+  for (const key of PIXEL_SIZED_KEYS) {
+    const def = SLIDER_CONFIG.find(c => c.key === key);
+    if (sliderEls[key]) cached[key] = scaleSliderValue(key, def.parse(sliderEls[key].el.value));
+  }
+  tineProfileR = -1;
+  rebuildGaussKernel();
+  // Before startup has laid out the garden there is nothing to carry over
+  if (!sandHeight) return;
+
+  stopReplay();
+  settleSandWorker();
+  const old = { w: W, h: H, sandHeight, sandR, sandG, sandB };
+  sizeGardenCanvas();
+  const garden = resampleGarden(old, W, H, 'fit');
+  sandHeight.set(garden.sandHeight);
+  sandR.set(garden.sandR);
+  sandG.set(garden.sandG);
+  sandB.set(garden.sandB);
+  generateNoiseMap(noiseSeed);
+  // Stroke coordinates and undo tiles were in the old pixels
+  resetStrokeLog('snapshot');
+  strokeLogBase = getCurrentState();
+  captureMarkFadeBaseline();
+  updateHistoryBtns();
+  updateCanvasRect();
+  autosaveDirty = true;
+  requestRender();
+}
+
+renderQualitySelect.addEventListener('change', () => {
+  setRenderQuality(renderQualitySelect.value);
+  gtag('event', 'render_quality', { quality: renderQualitySelect.value, ratio: pixelRatio });
+  // The panel saved on `input` already; store what was accepted or reverted
+  saveSettings();
+});
+
+// --- Resampling ---
+// Maps a buffer saved at another size onto the current garden. 'fit' scales the
+// whole source inside the garden, 'fill' scales it to cover the garden and
+// trims the overflow, 'crop' keeps 1:1 pixels centred. Garden pixels the source
+// doesn't reach are set to `fillValue`. Values are bilinear; when shrinking,
+// several taps are averaged per pixel so fine grooves don't alias. Passing
+// `weights` turns the average into a weighted one (used to mix colour by how
+// much sand carries it).
+function resampleField(src, srcW, srcH, dstW, dstH, mode, fillValue, weights = null) {
+  const scale = mode === 'crop' ? 1
+    : mode === 'fill' ? Math.max(dstW / srcW, dstH / srcH)
+    : Math.min(dstW / srcW, dstH / srcH);
+  const invScale = 1 / scale;
+  const offX = (dstW - srcW * scale) / 2;
+  const offY = (dstH - srcH * scale) / 2;
+  const taps = scale < 1 ? Math.ceil(invScale) : 1;
+  const out = new src.constructor(dstW * dstH);
+
+  for (let y = 0; y < dstH; y++) {
+    for (let x = 0; x < dstW; x++) {
+      let acc = 0;
+      let wsum = 0;
+      for (let ty = 0; ty < taps; ty++) {
+        const sy = (y + (ty + 0.5) / taps - offY) * invScale - 0.5;
+        if (sy < -0.5 || sy > srcH - 0.5) continue;
+        const cy = sy < 0 ? 0 : sy > srcH - 1 ? srcH - 1 : sy;
+        const y0 = Math.floor(cy);
+        const y1 = Math.min(y0 + 1, srcH - 1);
+        const fy = cy - y0;
+        for (let tx = 0; tx < taps; tx++) {
+          const sx = (x + (tx + 0.5) / taps - offX) * invScale - 0.5;
+          if (sx < -0.5 || sx > srcW - 0.5) continue;
+          const cx = sx < 0 ? 0 : sx > srcW - 1 ? srcW - 1 : sx;
+          const x0 = Math.floor(cx);
+          const x1 = Math.min(x0 + 1, srcW - 1);
+          const fx = cx - x0;
+          const i00 = y0 * srcW + x0;
+          const i10 = y0 * srcW + x1;
+          const i01 = y1 * srcW + x0;
+          const i11 = y1 * srcW + x1;
+          let w00 = (1 - fx) * (1 - fy);
+          let w10 = fx * (1 - fy);
+          let w01 = (1 - fx) * fy;
+          let w11 = fx * fy;
+          if (weights) {
+            w00 *= weights[i00];
+            w10 *= weights[i10];
+            w01 *= weights[i01];
+            w11 *= weights[i11];
+          }
+          acc += src[i00] * w00 + src[i10] * w10 + src[i01] * w01 + src[i11] * w11;
+          wsum += w00 + w10 + w01 + w11;
+        }
+      }
+      out[y * dstW + x] = wsum > 1e-6 ? acc / wsum : fillValue;
+    }
+  }
+  return out;
+}
+
+// Resample a { w, h, sandHeight, sandR, sandG, sandB } record; other fields are kept
+function resampleGarden(data, dstW, dstH, mode, baseHeight = 1.0) {
+  const { w, h } = data;
+  const def = SAND_COLORS[0];
+  return {
+    ...data,
+    w: dstW,
+    h: dstH,
+    sandHeight: resampleField(data.sandHeight, w, h, dstW, dstH, mode, baseHeight),
+    sandR: resampleField(data.sandR, w, h, dstW, dstH, mode, def[0], data.sandHeight),
+    sandG: resampleField(data.sandG, w, h, dstW, dstH, mode, def[1], data.sandHeight),
+    sandB: resampleField(data.sandB, w, h, dstW, dstH, mode, def[2], data.sandHeight)
+  };
 }
 
 // --- Sand color presets ---
@@ -333,7 +1192,7 @@ const SAND_COLORS = [
 
 
 // --- Pre-compute gaussian kernel as flat typed arrays ---
-const MAX_KERNEL = 81; // (2*4+1)^2 = max possible entries
+const MAX_KERNEL = (2 * 4 * MAX_PIXEL_RATIO + 1) ** 2; // spread slider tops out at 4
 let gaussDx = new Int8Array(MAX_KERNEL);
 let gaussDy = new Int8Array(MAX_KERNEL);
 let gaussW = new Float32Array(MAX_KERNEL);
@@ -366,7 +1225,7 @@ function rebuildGaussKernel() {
 }
 
 // --- Pre-allocated displacement buffers (optimization #4) ---
-const MAX_R = 20;
+const MAX_R = 20 * MAX_PIXEL_RATIO;
 const MAX_DISP = (2 * MAX_R + 1) * (2 * MAX_R + 1);
 const dispIdx = new Int32Array(MAX_DISP);
 const dispAmount = new Float32Array(MAX_DISP);
@@ -390,9 +1249,20 @@ let particleLoopRunning = false;
 let particleLastTs = 0;
 
 // --- Dirty region tracking (optimization #2) ---
-let dirtyMinX, dirtyMinY, dirtyMaxX, dirtyMaxY;
+// Tracked per DIRTY_TILE square rather than as one bounding box, so a stroke
+// and its mirror copies in opposite corners only reshade around themselves.
+const DIRTY_TILE = 32;
+let dirtyTilesX = 0, dirtyTilesY = 0;
+let dirtyTiles = null; // Uint8Array, 1 = tile needs reshading
 let dirtyEmpty = true;
 
+function initDirtyTiles() {
+  dirtyTilesX = Math.ceil(W / DIRTY_TILE);
+  dirtyTilesY = Math.ceil(H / DIRTY_TILE);
+  dirtyTiles = new Uint8Array(dirtyTilesX * dirtyTilesY);
+  markFullDirty();
+}
+
 function markDirty(x, y, radius) {
   const r = Math.ceil(radius);
   const x0 = Math.max(0, Math.floor(x) - r);
@@ -403,28 +1273,140 @@ function markDirty(x, y, radius) {
 }
 
 function markDirtyRect(x0, y0, x1, y1) {
-  if (dirtyEmpty) {
-    dirtyMinX = x0; dirtyMinY = y0;
-    dirtyMaxX = x1; dirtyMaxY = y1;
-    dirtyEmpty = false;
-  } else {
-    if (x0 < dirtyMinX) dirtyMinX = x0;
-    if (y0 < dirtyMinY) dirtyMinY = y0;
-    if (x1 > dirtyMaxX) dirtyMaxX = x1;
-    if (y1 > dirtyMaxY) dirtyMaxY = y1;
+  if (!dirtyTiles) return;
+  const tx0 = Math.max(0, Math.floor(x0 / DIRTY_TILE));
+  const ty0 = Math.max(0, Math.floor(y0 / DIRTY_TILE));
+  const tx1 = Math.min(dirtyTilesX - 1, Math.floor(x1 / DIRTY_TILE));
+  const ty1 = Math.min(dirtyTilesY - 1, Math.floor(y1 / DIRTY_TILE));
+  if (tx0 > tx1 || ty0 > ty1) return;
+  for (let ty = ty0; ty <= ty1; ty++) {
+    const row = ty * dirtyTilesX;
+    dirtyTiles.fill(1, row + tx0, row + tx1 + 1);
   }
+  dirtyEmpty = false;
 }
 
 function markFullDirty() {
-  dirtyMinX = 0; dirtyMinY = 0;
-  dirtyMaxX = W - 1; dirtyMaxY = H - 1;
+  if (!dirtyTiles) return;
+  dirtyTiles.fill(1);
   dirtyEmpty = false;
 }
 
 function resetDirty() {
+  if (dirtyTiles) dirtyTiles.fill(0);
   dirtyEmpty = true;
 }
 
+// Dirty tiles as pixel rects [x0, y0, x1, y1]: runs along each tile row,
+// stretched down while the next row has a run with the same span
+function getDirtyRects() {
+  const rects = [];
+  let above = [];
+  for (let ty = 0; ty < dirtyTilesY; ty++) {
+    const row = ty * dirtyTilesX;
+    const y1 = Math.min(H, (ty + 1) * DIRTY_TILE) - 1;
+    const current = [];
+    let tx = 0;
+    while (tx < dirtyTilesX) {
+      if (!dirtyTiles[row + tx]) { tx++; continue; }
+      const x0 = tx * DIRTY_TILE;
+      while (tx < dirtyTilesX && dirtyTiles[row + tx]) tx++;
+      const x1 = Math.min(W, tx * DIRTY_TILE) - 1;
+      let rect = above.find((r) => r[0] === x0 && r[2] === x1);
+      if (rect) {
+        rect[3] = y1;
+      } else {
+        rect = [x0, ty * DIRTY_TILE, x1, y1];
+        rects.push(rect);
+      }
+      current.push(rect);
+    }
+    above = current;
+  }
+  return rects;
+}
+
+// Grows each rect by the shading reach on each side. Falls back to a single
+// bounding box when overlapping pads would shade more than the box itself.
+function padDirtyRects(rects, padL, padT, padR, padB) {
+  const padded = [];
+  let area = 0;
+  let minX = W, minY = H, maxX = -1, maxY = -1;
+  for (const [x0, y0, x1, y1] of rects) {
+    const r = [
+      Math.max(0, x0 - padL), Math.max(0, y0 - padT),
+      Math.min(W - 1, x1 + padR), Math.min(H - 1, y1 + padB)
+    ];
+    padded.push(r);
+    area += (r[2] - r[0] + 1) * (r[3] - r[1] + 1);
+    if (r[0] < minX) minX = r[0];
+    if (r[1] < minY) minY = r[1];
+    if (r[2] > maxX) maxX = r[2];
+    if (r[3] > maxY) maxY = r[3];
+  }
+  if (padded.length > 1 && area >= (maxX - minX + 1) * (maxY - minY + 1)) {
+    return [[minX, minY, maxX, maxY]];
+  }
+  return padded;
+}
+
+// Eases the visible slime over the dirty rects; true while any is fading in
+function easeLiveSlime(rects) {
+  if (diggingMode || !slimeMode || !slimeAmount || !slimeDisplayAmount) return false;
+  let pending = false;
+  for (const [x0, y0, x1, y1] of rects) {
+    if (easeSlimeDisplay(slimeAmount, slimeDisplayAmount, W, x0, y0, x1, y1)) pending = true;
+  }
+  return pending;
+}
+
+// --- Dirty tile debug overlay ---
+// Shows the tiles reshaded by the last frame (red) and the padded rects that
+// were actually shaded (yellow) on a canvas above the garden.
+let dirtyOverlay = null;
+
+function setDirtyOverlayVisible(visible) {
+  if (visible && !dirtyOverlay) {
+    dirtyOverlay = document.createElement('canvas');
+    dirtyOverlay.className = 'dirty-overlay';
+    canvas.after(dirtyOverlay);
+  } else if (!visible && dirtyOverlay) {
+    dirtyOverlay.remove();
+    dirtyOverlay = null;
+  }
+}
+
+function drawDirtyOverlay(dirtyRects, shadeRects) {
+  if (dirtyOverlay.width !== W || dirtyOverlay.height !== H) {
+    dirtyOverlay.width = W;
+    dirtyOverlay.height = H;
+  }
+  const octx = dirtyOverlay.getContext('2d');
+  octx.clearRect(0, 0, W, H);
+  octx.fillStyle = 'rgba(255, 70, 50, 0.22)';
+  octx.strokeStyle = 'rgba(255, 70, 50, 0.6)';
+  octx.lineWidth = 1;
+  for (let t = 0; t < dirtyTiles.length; t++) {
+    if (!dirtyTiles[t]) continue;
+    const tx = t % dirtyTilesX;
+    const x = tx * DIRTY_TILE;
+    const y = (t - tx) / dirtyTilesX * DIRTY_TILE;
+    octx.fillRect(x, y, DIRTY_TILE, DIRTY_TILE);
+    octx.strokeRect(x + 0.5, y + 0.5, DIRTY_TILE - 1, DIRTY_TILE - 1);
+  }
+  octx.strokeStyle = 'rgba(255, 215, 80, 0.9)';
+  for (const [x0, y0, x1, y1] of shadeRects) {
+    octx.strokeRect(x0 + 0.5, y0 + 0.5, x1 - x0, y1 - y0);
+  }
+}
+
+const dirtyTilesToggle = document.getElementById('dirtyTilesToggle');
+dirtyTilesToggle.addEventListener('change', () => {
+  setDirtyOverlayVisible(dirtyTilesToggle.checked);
+  markFullDirty();
+  requestRender();
+});
+
 function initMarkFadeBuffers() {
   fadeTouchedAt = new Float64Array(totalPixels);
   fadeActiveMask = new Uint8Array(totalPixels);
@@ -453,7 +1435,7 @@ function captureMarkFadeBaseline() {
 }
 
 function isMarkFadeEnabledForCurrentMode() {
-  if (diggingMode) return false;
+  if (diggingMode || replayState) return false;
   return slimeMode || fadeMarksEnabled;
 }
 
@@ -480,6 +1462,7 @@ function activateExistingMarksForFade() {
 
 function applyMarkFadeStep() {
   if (!isMarkFadeEnabledForCurrentMode() || !fadeTouchedAt || fadeActiveIdx.length === 0) return;
+  settleSandWorker();
   const now = performance.now();
   const fadeDelayMs = getMarkFadeDelayMs();
   let write = 0;
@@ -597,6 +1580,8 @@ const SLIDER_CONFIG = [
   { id: 'dbgDepth', key: 'depth', parse: parseFloat, labelId: 'dbgDepthLabel', onChange() { tineProfileR = -1; markFullDirty(); requestRender(); } },
   { id: 'dbgRim', key: 'rim', parse: parseFloat, labelId: 'dbgRimLabel', onChange() { tineProfileR = -1; markFullDirty(); requestRender(); } },
   { id: 'dbgLight', key: 'light', parse: parseFloat, labelId: 'dbgLightLabel', onChange() { markFullDirty(); requestRender(); } },
+  { id: 'dbgLightAngle', key: 'lightAngle', parse: parseInt, labelId: 'dbgLightAngleLabel', onChange() { updateLighting(); } },
+  { id: 'dbgLightElevation', key: 'lightElevation', parse: parseInt, labelId: 'dbgLightElevationLabel', onChange() { updateLighting(); } },
   { id: 'dbgBlend', key: 'blend', parse: parseFloat, labelId: 'dbgBlendLabel' },
   { id: 'dbgStep', key: 'step', parse: parseFloat, labelId: 'dbgStepLabel' },
   { id: 'dbgSpread', key: 'spread', parse: parseInt, labelId: 'dbgSpreadLabel', onChange() { rebuildGaussKernel(); } },
@@ -611,8 +1596,15 @@ const sliderEls = {};
 let savedSandboxTineCountForSolid = null;
 
 function getScale(key) {
-  if (isMobile && key === 'tineRadius') return 0.5;
-  return 1.0;
+  let scale = PIXEL_SIZED_KEYS.has(key) ? pixelRatio : 1.0;
+  if (isMobile && key === 'tineRadius') scale *= 0.5;
+  return scale;
+}
+
+// Slider value as the sim uses it; spread and NormD index whole pixels
+function scaleSliderValue(key, value) {
+  const scaled = value * getScale(key);
+  return WHOLE_PIXEL_KEYS.has(key) ? Math.max(1, Math.round(scaled)) : scaled;
 }
 
 function setTineCountSliderValue(value) {
@@ -620,7 +1612,7 @@ function setTineCountSliderValue(value) {
   if (!entry) return;
   const { el, labelEl } = entry;
   el.value = String(value);
-  cached.tineCount = parseInt(el.value, 10) * getScale('tineCount');
+  cached.tineCount = scaleSliderValue('tineCount', parseInt(el.value, 10));
   if (labelEl) labelEl.textContent = el.value;
 }
 
@@ -666,11 +1658,11 @@ function setupSliders() {
     }
 
     sliderEls[def.key] = { el, labelEl };
-    cached[def.key] = def.parse(el.value) * getScale(def.key);
+    cached[def.key] = scaleSliderValue(def.key, def.parse(el.value));
     if (labelEl) labelEl.textContent = el.value;
 
     el.addEventListener('input', () => {
-      cached[def.key] = def.parse(el.value) * getScale(def.key);
+      cached[def.key] = scaleSliderValue(def.key, def.parse(el.value));
       if (labelEl) labelEl.textContent = el.value;
       if (def.onChange) def.onChange();
     });
@@ -688,28 +1680,46 @@ function initSand() {
   }
 }
 
-function generateNoiseMap() {
-  for (let i = 0; i < totalPixels; i++) {
-    const fine = (Math.random() - 0.5) * 10;
-    const coarse = Math.random() < 0.03 ? (Math.random() - 0.5) * 16 : 0;
-    noiseMap[i] = fine + coarse;
+function generateNoiseMap(seed = randomSeed()) {
+  noiseSeed = seed;
+  fillNoise(noiseMap, seed);
+}
+
+// Also used to lay fresh grain over high-resolution still exports
+function fillNoise(buf, seed) {
+  const rng = createRng(seed ^ NOISE_SEED_SALT);
+  for (let i = 0; i < buf.length; i++) {
+    const fine = (rng() - 0.5) * 10;
+    const coarse = rng() < 0.03 ? (rng() - 0.5) * 16 : 0;
+    buf[i] = fine + coarse;
   }
 }
 
-function clearSand() {
-  if (isChallengeMode()) return;
-  gtag('event', 'clear_sand');
-  saveState(); // Save state before clearing
-  tlResumeForInteraction();
+// Deterministic part of clearSand, shared with the replay engine
+function resetSandFromSeed(seed) {
   initSand();
   // Add fine random variation for a natural untouched look
+  const rng = createRng(seed);
   for (let i = 0; i < totalPixels; i++) {
-    sandHeight[i] += (Math.random() - 0.5) * 0.3;
+    sandHeight[i] += (rng() - 0.5) * 0.3;
     sandHeight[i] = Math.max(0.1, Math.min(1.5, sandHeight[i]));
   }
-  generateNoiseMap();
+  generateNoiseMap(seed);
+}
+
+function clearSand() {
+  if (isChallengeMode() || replayState) return;
+  gtag('event', 'clear_sand');
+  saveState(); // Save state before clearing
+  historyTouchRect(0, 0, W - 1, H - 1);
+  const seed = randomSeed();
+  pushStrokeLogEntry({ type: 'clear', time: Date.now(), seed });
+  tlResumeForInteraction();
+  resetSandFromSeed(seed);
+  autosaveDirty = true;
   captureMarkFadeBaseline();
   markFullDirty();
+  closeHistoryEntry();
   requestRender();
   tlScheduleIdlePause();
 }
@@ -794,13 +1804,189 @@ function getOffsetsHalfWidth(offsets, tineRadius) {
   return Math.max(Math.abs(first), Math.abs(last)) + tineRadius;
 }
 
+// --- Rake heads ---
+// A custom rake head places each tine at its own offset along the bar with its
+// own radius and depth. Offset and radius are in units of the Size slider and
+// depth multiplies the Depth slider, so a head grows and digs with the rake
+// like the standard one. `rakeHead` is null for the standard rake built from
+// the Tines and Gap sliders; Solid Rake and the challenge modes ignore it.
+const RAKE_HEAD_MAX_TINES = 24;
+const RAKE_HEAD_LIMITS = {
+  offset: [-16, 16],
+  radius: [0.25, 2],
+  depth: [0.2, 2]
+};
+const DEFAULT_RAKE_HEADS = [
+  {
+    name: 'Edged Comb',
+    tines: [
+      { offset: -6, radius: 1.6, depth: 1.3 },
+      { offset: -2.4, radius: 0.5, depth: 0.7 },
+      { offset: -1.2, radius: 0.5, depth: 0.7 },
+      { offset: 0, radius: 0.5, depth: 0.7 },
+      { offset: 1.2, radius: 0.5, depth: 0.7 },
+      { offset: 2.4, radius: 0.5, depth: 0.7 },
+      { offset: 6, radius: 1.6, depth: 1.3 }
+    ]
+  }
+];
+let rakeHead = null;
+let rtCache = null;
+let rtCacheSource = null, rtCacheRadius = -1;
+
+// Cleans up a head from settings, saves or files; null if it has no tines
+function normalizeRakeHead(head) {
+  if (!head || !Array.isArray(head.tines)) return null;
+  const clamp = (v, [lo, hi], fallback) => (Number.isFinite(v) ? Math.max(lo, Math.min(hi, v)) : fallback);
+  const tines = head.tines.slice(0, RAKE_HEAD_MAX_TINES).map((t) => ({
+    offset: clamp(Number(t.offset), RAKE_HEAD_LIMITS.offset, 0),
+    radius: clamp(Number(t.radius), RAKE_HEAD_LIMITS.radius, 1),
+    depth: clamp(Number(t.depth), RAKE_HEAD_LIMITS.depth, 1)
+  }));
+  if (tines.length === 0) return null;
+  tines.sort((a, b) => a.offset - b.offset);
+  return { name: String(head.name || 'Custom').slice(0, 40), tines };
+}
+
+function isCustomRakeHeadActive() {
+  return !!rakeHead && !isSolidRakeActive();
+}
+
+// Tines of the rake in use as [{ offset, radius, depth }] in pixels, sorted
+// by offset. Standard and solid rakes are uniform tines at their offsets.
+function getActiveRakeTines(tineRadius) {
+  const source = isCustomRakeHeadActive() ? rakeHead : getActiveRakeOffsets(tineRadius);
+  if (rtCache && source === rtCacheSource && tineRadius === rtCacheRadius) return rtCache;
+  rtCacheSource = source;
+  rtCacheRadius = tineRadius;
+  if (source === rakeHead) {
+    rtCache = rakeHead.tines.map((t) => ({
+      offset: t.offset * tineRadius,
+      radius: Math.max(1, Math.min(MAX_R, t.radius * tineRadius)),
+      depth: t.depth
+    }));
+  } else {
+    rtCache = source.map((offset) => ({ offset, radius: tineRadius, depth: 1 }));
+  }
+  return rtCache;
+}
+
+function getTinesHalfWidth(tines) {
+  let half = 0;
+  for (const t of tines) half = Math.max(half, Math.abs(t.offset) + t.radius);
+  return half;
+}
+
 // --- Mirror symmetry state ---
 let mirrorV = false;  // vertical axis (left/right)
 let mirrorH = false;  // horizontal axis (top/bottom)
 let mirrorD = false;  // diagonal axes (8-way)
+// Rotation orders the Rotate select offers. Every stamp is carved once per
+// copy (and deduplicated pairwise), so mirrors x reflection x rotation is
+// kept within SYMMETRY_MAX_COPIES by lowering the order in effect. The
+// chosen order is kept, so it comes back when a mirror is turned off.
+const SYMMETRY_ORDERS = [1, 2, 3, 4, 5, 6, 8, 12, 16];
+const SYMMETRY_MAX_COPIES = 64;
+let symmetryOrder = 1;        // rotational copies the user chose (1 = off)
+let symmetryReflect = false;  // also mirror each rotated copy (dihedral)
+let symmetryCenter = { x: 0.5, y: 0.5 }; // fraction of the garden size
+let symmetryAxis = 0;         // degrees the mirror axes are turned clockwise
+let symmetryLegacy = false;   // replaying a stroke logged before the centre could move
 let alignCenter = false; // center alignment
 let solidRakeMode = false;
 
+function getMirrorCopies() {
+  return (mirrorV ? 2 : 1) * (mirrorH ? 2 : 1) * (mirrorD ? 2 : 1);
+}
+
+// Largest offered order at or below `order`
+function snapSymmetryOrder(order) {
+  let snapped = 1;
+  for (const o of SYMMETRY_ORDERS) {
+    if (o <= order) snapped = o;
+  }
+  return snapped;
+}
+
+// Largest offered order at or below `order` that fits the copy budget
+function clampSymmetryOrder(order, reflect) {
+  const budget = SYMMETRY_MAX_COPIES / (getMirrorCopies() * (reflect ? 2 : 1));
+  let clamped = 1;
+  for (const o of SYMMETRY_ORDERS) {
+    if (o <= order && o <= budget) clamped = o;
+  }
+  return clamped;
+}
+
+// Rotation order strokes and guides use right now
+function getSymmetryOrder() {
+  return clampSymmetryOrder(symmetryOrder, symmetryReflect);
+}
+
+function hasSymmetry() {
+  return mirrorV || mirrorH || mirrorD || symmetryOrder > 1;
+}
+
+// Clamp a stored centre to the garden; anything unreadable falls back to the middle
+function toSymmetryCenter(c) {
+  const fit = (v) => Number.isFinite(v) ? Math.max(0, Math.min(1, v)) : 0.5;
+  return c ? { x: fit(c.x), y: fit(c.y) } : { x: 0.5, y: 0.5 };
+}
+
+// Centre and axes every symmetry works from. V runs along (vx, vy) and H
+// along (hx, hy); the diagonal runs corner to corner in that frame. Strokes
+// logged before the centre could move keep their original mirrors (`legacy`)
+// so they replay the same.
+function getSymmetryFrame() {
+  const angle = symmetryAxis * Math.PI / 180;
+  return {
+    cx: symmetryCenter.x * W,
+    cy: symmetryCenter.y * H,
+    vx: -Math.sin(angle),
+    vy: Math.cos(angle),
+    hx: Math.cos(angle),
+    hy: Math.sin(angle),
+    legacy: symmetryLegacy
+  };
+}
+
+// Mirror a symmetry point across the line through (cx, cy) along unit (ux, uy)
+function reflectSymmetryPoint(p, cx, cy, ux, uy) {
+  const rx = p.x - cx, ry = p.y - cy;
+  const d = 2 * (rx * ux + ry * uy);
+  const dd = 2 * (p.dirX * ux + p.dirY * uy);
+  const pd = 2 * (p.perpX * ux + p.perpY * uy);
+  return {
+    x: cx + d * ux - rx,
+    y: cy + d * uy - ry,
+    dirX: dd * ux - p.dirX,
+    dirY: dd * uy - p.dirY,
+    perpX: pd * ux - p.perpX,
+    perpY: pd * uy - p.perpY
+  };
+}
+
+// Mirror a symmetry point across the frame's diagonal: swap its H and V
+// coordinates, scaled by the garden's aspect so the axis runs corner to corner
+function swapSymmetryDiagonal(p, f) {
+  const ar = W / H;
+  const swap = (x, y) => {
+    const a = x * f.hx + y * f.hy;
+    const b = x * f.vx + y * f.vy;
+    return [f.hx * b * ar + f.vx * a / ar, f.hy * b * ar + f.vy * a / ar];
+  };
+  const keepLength = ([sx, sy], x, y) => {
+    const len = Math.hypot(sx, sy);
+    if (len <= 0.0001) return [sx, sy];
+    const k = Math.hypot(x, y) / len;
+    return [sx * k, sy * k];
+  };
+  const [rx, ry] = swap(p.x - f.cx, p.y - f.cy);
+  const [dirX, dirY] = keepLength(swap(p.dirX, p.dirY), p.dirX, p.dirY);
+  const [perpX, perpY] = keepLength(swap(p.perpX, p.perpY), p.perpX, p.perpY);
+  return { x: f.cx + rx, y: f.cy + ry, dirX, dirY, perpX, perpY };
+}
+
 function isSolidRakeActive() {
   return isChallengeMode() || solidRakeMode;
 }
@@ -812,8 +1998,8 @@ function getPerpAt(x, y) {
     return getRakePerp();
   }
   if (alignCenter) {
-    const dx = x - W / 2;
-    const dy = y - H / 2;
+    const dx = x - symmetryCenter.x * W;
+    const dy = y - symmetryCenter.y * H;
     const len = Math.sqrt(dx * dx + dy * dy);
     if (len > 0.001) {
       return [dx / len, dy / len];
@@ -928,12 +2114,71 @@ function getPos(e) {
   ];
 }
 
-// --- Pre-computed tine height profile LUT ---
+// --- Tine shapes ---
+// Height a tine leaves at t = distance / radius (0 centre, 1 edge) for a given
+// Depth and Rim. Carving only ever lowers sand, so the groove's cross-section
+// follows the shape from the centre out. Serrated adds ridges across the
+// stroke in carveTine(), on top of its flat-bottomed channel.
+const TINE_SHAPES = {
+  // Smooth groove: cubic ease for the channel, gentle rim
+  rounded(t, depth, rim) {
+    if (t < 0.6) {
+      const u = t / 0.6;
+      return 1.0 - depth * (1 - u * u * u);
+    }
+    if (t < 0.85) return 1.0 + (t - 0.6) / 0.25 * rim;
+    return (1.0 + rim) - (t - 0.85) / 0.15 * rim;
+  },
+  // Straight walls meeting in a sharp crease
+  v(t, depth, rim) {
+    if (t < 0.8) return 1.0 - depth * (1 - t / 0.8);
+    if (t < 0.9) return 1.0 + (t - 0.8) / 0.1 * rim;
+    return (1.0 + rim) - (t - 0.9) / 0.1 * rim;
+  },
+  // Flat floor and steep walls with a crisp lip
+  square(t, depth, rim) {
+    if (t < 0.7) return 1.0 - depth;
+    if (t < 0.8) return 1.0 - depth + (t - 0.7) / 0.1 * (depth + rim);
+    return (1.0 + rim) - (t - 0.8) / 0.2 * rim;
+  },
+  serrated(t, depth, rim) {
+    if (t < 0.75) return 1.0 - depth;
+    if (t < 0.85) return 1.0 - depth + (t - 0.75) / 0.1 * (depth + rim);
+    return (1.0 + rim) - (t - 0.85) / 0.15 * rim;
+  }
+};
+const SERRATED_TEETH = 3;        // grooves across one tine
+const SERRATED_RIDGE = 0.7;      // ridge height between them, as a share of Depth
+const tineShapeSelect = document.getElementById('tineShape');
+let tineShape = 'rounded';
+
+// Challenge modes keep the classic groove so scores stay comparable
+function getActiveTineShape() {
+  return isChallengeMode() ? 'rounded' : tineShape;
+}
+
+// Ridge height at u = offset across the stroke / radius (-1..1)
+function getSerrationRaise(u, depth) {
+  const phase = (u + 1) * SERRATED_TEETH / 2;
+  const f = 2 * (phase - Math.floor(phase)) - 1;
+  return depth * SERRATED_RIDGE * f * f;
+}
+
+function setTineShape(shape) {
+  tineShape = TINE_SHAPES[shape] ? shape : 'rounded';
+  tineShapeSelect.value = tineShape;
+}
+
+// --- Pre-computed tine height profile LUT ---
 let tineProfileR = -1;
 let tineProfileDepth = -1;
 let tineProfileRim = -1;
+let tineProfileShape = '';
 let tineProfile = null; // Float32Array, size (2*r+1)²
 let tineProfileStride = 0;
+// Custom rake heads switch profiles tine by tine, so built ones are kept
+const TINE_PROFILE_CACHE_MAX = 32;
+const tineProfileCache = new Map();
 
 // --- Depth-based Color Helper ---
 // Pre-allocated temp array for hot-loop color lookups
@@ -990,16 +2235,23 @@ function getDepthColor(h, surfaceH, out) {
   out[0] = r; out[1] = g; out[2] = b;
 }
 
-function rebuildTineProfile(r) {
-  const curDepth = cached.depth;
+function rebuildTineProfile(r, curDepth) {
   const curRim = cached.rim;
-  if (r === tineProfileR && curDepth === tineProfileDepth && curRim === tineProfileRim) return;
+  const shape = getActiveTineShape();
+  if (r === tineProfileR && curDepth === tineProfileDepth && curRim === tineProfileRim && shape === tineProfileShape) return;
   tineProfileR = r;
   tineProfileDepth = curDepth;
   tineProfileRim = curRim;
+  tineProfileShape = shape;
   const side = 2 * r + 1;
   tineProfileStride = side;
+  const key = `${shape}:${r}:${curDepth}:${curRim}`;
+  const heightAt = TINE_SHAPES[shape];
+  tineProfile = tineProfileCache.get(key);
+  if (tineProfile) return;
+  if (tineProfileCache.size >= TINE_PROFILE_CACHE_MAX) tineProfileCache.clear();
   tineProfile = new Float32Array(side * side);
+  tineProfileCache.set(key, tineProfile);
   const rSq = r * r;
   for (let dy = -r; dy <= r; dy++) {
     for (let dx = -r; dx <= r; dx++) {
@@ -1008,30 +2260,29 @@ function rebuildTineProfile(r) {
         tineProfile[(dy + r) * side + (dx + r)] = -1; // sentinel: outside
         continue;
       }
-      const t = Math.sqrt(dist2) / r;
-      // Smooth groove: cubic ease for the channel, gentle rim
-      let h;
-      if (t < 0.6) {
-        const u = t / 0.6;
-        h = 1.0 - curDepth * (1 - u * u * u);
-      } else if (t < 0.85) {
-        const u = (t - 0.6) / 0.25;
-        h = 1.0 + u * curRim;
-      } else {
-        const u = (t - 0.85) / 0.15;
-        h = (1.0 + curRim) - u * curRim;
-      }
-      tineProfile[(dy + r) * side + (dx + r)] = h;
+      tineProfile[(dy + r) * side + (dx + r)] = heightAt(Math.sqrt(dist2) / r, curDepth, curRim);
     }
   }
 }
 
 // --- Sand displacement in carveTine (optimizations #4, #6) ---
-function carveTine(x, y, radius, dirX, dirY) {
+// Carve footprint plus the farthest deposit kernel, for a tine of radius r
+function getCarveReach(r) {
+  return r + Math.ceil(r * Math.max(cached.fwdD, cached.sideD)) + cached.spread + 1;
+}
+
+// depthMul scales the Depth slider for this tine (custom rake heads)
+function carveTine(x, y, radius, dirX, dirY, depthMul = 1) {
   const r = Math.floor(radius);
-  rebuildTineProfile(r);
+  const depth = cached.depth * depthMul;
+  rebuildTineProfile(r, depth);
   const ix = Math.round(x);
   const iy = Math.round(y);
+  autosaveDirty = true;
+  if (historyEntry) {
+    const reach = getCarveReach(r);
+    historyTouchRect(ix - reach, iy - reach, ix + reach, iy + reach);
+  }
 
   // Normalize stroke direction
   const dirLenSq = dirX * dirX + dirY * dirY;
@@ -1044,6 +2295,9 @@ function carveTine(x, y, radius, dirX, dirY) {
   // Perpendicular (for side displacement)
   const perpX = -ndy;
   const perpY = ndx;
+  // Serrated teeth need a stroke direction to line up along
+  const serrate = tineProfileShape === 'serrated' && dirLenSq > 0.000001 && r > 0;
+  const invR = 1 / r;
 
   // Cache blend value and pre-compute inverse
   const blendTarget = cached.blend;
@@ -1061,8 +2315,11 @@ function carveTine(x, y, radius, dirX, dirY) {
       const px = ix + dx;
       if (px < 0 || px >= W) continue;
 
-      const targetHeight = tineProfile[profileRowBase + dx];
+      let targetHeight = tineProfile[profileRowBase + dx];
       if (targetHeight < 0) continue; // outside radius
+      if (serrate && targetHeight < 1.0) {
+        targetHeight = Math.min(1.0, targetHeight + getSerrationRaise((dx * perpX + dy * perpY) * invR, depth));
+      }
 
       const idx = rowBase + px;
       const currentH = sandHeight[idx];
@@ -1234,35 +2491,42 @@ function spawnParticles(x, y, dirX, dirY, dispCount) {
     const py = (idx - px) / W;
 
     // Random angular jitter (-45 to +45 degrees from stroke direction)
-    const jitter = (Math.random() - 0.5) * Math.PI * 0.5;
+    const jitter = (fxRandom() - 0.5) * Math.PI * 0.5;
     const cosJ = Math.cos(jitter);
     const sinJ = Math.sin(jitter);
-    const speed = (1.5 + Math.random() * 2) * Math.min(amt * 4, 1);
+    const speed = (1.5 + fxRandom() * 2) * Math.min(amt * 4, 1) * pixelRatio;
     // If stroke direction is zero (mousedown), scatter radially
     let baseX = dirX, baseY = dirY;
     if (dirX === 0 && dirY === 0) {
-      const angle = Math.random() * Math.PI * 2;
+      const angle = fxRandom() * Math.PI * 2;
       baseX = Math.cos(angle);
       baseY = Math.sin(angle);
     }
     const vx = (baseX * cosJ - baseY * sinJ) * speed;
     const vy = (baseX * sinJ + baseY * cosJ) * speed;
+    const life = 200 + fxRandom() * 200; // 200-400ms
+    addParticle(px, py, vx, vy, life, dispSrcR[di], dispSrcG[di], dispSrcB[di]);
+  }
+  startParticleLoop();
+}
+
+function addParticle(x, y, vx, vy, life, r, g, b) {
+  if (partCount >= MAX_PARTICLES) return;
+  const i = partCount;
+  partX[i] = x;
+  partY[i] = y;
+  partVX[i] = vx;
+  partVY[i] = vy;
+  partLife[i] = life;
+  partMaxLife[i] = life;
+  partR[i] = r;
+  partG[i] = g;
+  partB[i] = b;
+  partCount++;
+}
 
-    const i = partCount;
-    partX[i] = px;
-    partY[i] = py;
-    partVX[i] = vx;
-    partVY[i] = vy;
-    const life = 200 + Math.random() * 200; // 200-400ms
-    partLife[i] = life;
-    partMaxLife[i] = life;
-    partR[i] = dispSrcR[di];
-    partG[i] = dispSrcG[di];
-    partB[i] = dispSrcB[di];
-    partCount++;
-  }
-
-  // Kick off animation loop if not already running
+// Kick off animation loop if not already running
+function startParticleLoop() {
   if (partCount > 0 && !particleLoopRunning) {
     particleLoopRunning = true;
     particleLastTs = performance.now();
@@ -1292,14 +2556,14 @@ function updateParticles(dt) {
       continue; // re-check this index (now holds swapped particle)
     }
     // Mark old position dirty (erase previous frame's drawing)
-    markDirty(partX[i], partY[i], 4);
+    markDirty(partX[i], partY[i], 4 * pixelRatio);
     // Apply friction and advance
     partVX[i] *= friction;
     partVY[i] *= friction;
     partX[i] += partVX[i] * (dt / 16.67);
     partY[i] += partVY[i] * (dt / 16.67);
     // Mark new position dirty
-    markDirty(partX[i], partY[i], 4);
+    markDirty(partX[i], partY[i], 4 * pixelRatio);
     i++;
   }
 }
@@ -1316,23 +2580,32 @@ function particleTick(ts) {
   requestAnimationFrame(particleTick);
 }
 
-function getSymmetryPoints(x, y, dirX, dirY, perpX, perpY) {
+// Pass dedupe = false to always get one point per copy, in a fixed order
+function getSymmetryPoints(x, y, dirX, dirY, perpX, perpY, dedupe = true) {
+  const f = getSymmetryFrame();
   let pts = [{x, y, dirX, dirY, perpX, perpY}];
   if (mirrorV) {
     const len = pts.length;
     for (let i = 0; i < len; i++) {
       const p = pts[i];
-      pts.push({x: (W - 1) - p.x, y: p.y, dirX: -p.dirX, dirY: p.dirY, perpX: -p.perpX, perpY: p.perpY});
+      pts.push(f.legacy
+        ? {x: (W - 1) - p.x, y: p.y, dirX: -p.dirX, dirY: p.dirY, perpX: -p.perpX, perpY: p.perpY}
+        : reflectSymmetryPoint(p, f.cx, f.cy, f.vx, f.vy));
     }
   }
   if (mirrorH) {
     const len = pts.length;
     for (let i = 0; i < len; i++) {
       const p = pts[i];
-      pts.push({x: p.x, y: H - p.y, dirX: p.dirX, dirY: -p.dirY, perpX: p.perpX, perpY: -p.perpY});
+      pts.push(f.legacy
+        ? {x: p.x, y: H - p.y, dirX: p.dirX, dirY: -p.dirY, perpX: p.perpX, perpY: -p.perpY}
+        : reflectSymmetryPoint(p, f.cx, f.cy, f.hx, f.hy));
     }
   }
-  if (mirrorD) {
+  if (mirrorD && !f.legacy) {
+    const len = pts.length;
+    for (let i = 0; i < len; i++) pts.push(swapSymmetryDiagonal(pts[i], f));
+  } else if (mirrorD) {
     const hw = W / 2, hh = H / 2;
     const ar = W / H, iar = H / W;
     const len = pts.length;
@@ -1356,6 +2629,39 @@ function getSymmetryPoints(x, y, dirX, dirY, perpX, perpY) {
       pts.push({x: sx, y: sy, dirX: sdx, dirY: sdy, perpX: spx, perpY: spy});
     }
   }
+  const order = getSymmetryOrder();
+  if (order > 1) {
+    const { cx, cy } = f;
+    if (symmetryReflect) {
+      // Reflect across the V axis through the centre; the rotations below
+      // turn it into `order` evenly spaced mirror axes
+      const len = pts.length;
+      for (let i = 0; i < len; i++) {
+        const p = pts[i];
+        pts.push(f.legacy
+          ? {x: 2 * cx - p.x, y: p.y, dirX: -p.dirX, dirY: p.dirY, perpX: -p.perpX, perpY: p.perpY}
+          : reflectSymmetryPoint(p, cx, cy, f.vx, f.vy));
+      }
+    }
+    const len = pts.length;
+    for (let k = 1; k < order; k++) {
+      const a = 2 * Math.PI * k / order;
+      const cos = Math.cos(a), sin = Math.sin(a);
+      for (let i = 0; i < len; i++) {
+        const p = pts[i];
+        const rx = p.x - cx, ry = p.y - cy;
+        pts.push({
+          x: cx + rx * cos - ry * sin,
+          y: cy + rx * sin + ry * cos,
+          dirX: p.dirX * cos - p.dirY * sin,
+          dirY: p.dirX * sin + p.dirY * cos,
+          perpX: p.perpX * cos - p.perpY * sin,
+          perpY: p.perpX * sin + p.perpY * cos
+        });
+      }
+    }
+  }
+  if (!dedupe) return pts;
   // Deduplicate points within 1px
   const deduped = [pts[0]];
   for (let i = 1; i < pts.length; i++) {
@@ -1370,14 +2676,13 @@ function getSymmetryPoints(x, y, dirX, dirY, perpX, perpY) {
   return deduped;
 }
 
-function carveRakeSymmetric(x, y, tineRadius, dirX, dirY) {
-  if (!mirrorV && !mirrorH && !mirrorD) {
-    // Check alignment for non-symmetric case too
-    const [px, py] = getPerpAt(x, y);
-    carveRake(x, y, tineRadius, dirX, dirY, px, py);
+// perpX/perpY override the live orientation (used by replay)
+function carveRakeSymmetric(x, y, tineRadius, dirX, dirY, perpX, perpY) {
+  if (perpX === undefined) [perpX, perpY] = getPerpAt(x, y);
+  if (!hasSymmetry()) {
+    carveRake(x, y, tineRadius, dirX, dirY, perpX, perpY);
     return;
   }
-  const [perpX, perpY] = getPerpAt(x, y);
   const points = getSymmetryPoints(x, y, dirX, dirY, perpX, perpY);
   for (const p of points) {
     carveRake(p.x, p.y, tineRadius, p.dirX, p.dirY, p.perpX, p.perpY);
@@ -1385,14 +2690,16 @@ function carveRakeSymmetric(x, y, tineRadius, dirX, dirY) {
 }
 
 function carveRake(x, y, tineRadius, dirX, dirY, overridePerpX, overridePerpY) {
-  const offsets = getActiveRakeOffsets(tineRadius);
+  const tines = getActiveRakeTines(tineRadius);
   const perpX = overridePerpX !== undefined ? overridePerpX : getRakePerp()[0];
   const perpY = overridePerpY !== undefined ? overridePerpY : getRakePerp()[1];
+  const onWorker = isSandWorkerCarving();
 
-  for (const offset of offsets) {
-    const tx = x + perpX * offset;
-    const ty = y + perpY * offset;
-    carveTine(tx, ty, tineRadius, dirX, dirY);
+  for (const tine of tines) {
+    const tx = x + perpX * tine.offset;
+    const ty = y + perpY * tine.offset;
+    if (onWorker) queueWorkerCarve(tx, ty, tine.radius, dirX, dirY, tine.depth);
+    else carveTine(tx, ty, tine.radius, dirX, dirY, tine.depth);
   }
 }
 
@@ -1452,129 +2759,361 @@ function updateDepthPill() {
   }
 }
 
+// --- Lighting ---
+// The light comes from `lightAngle` degrees clockwise from the top of the
+// garden and `lightElevation` degrees above the horizon. Shading only uses the
+// horizontal part, scaled so the default 315° / 45° matches the original fixed
+// top-left light; a lower sun makes slopes read stronger. Time of day drives
+// both from a sun path (following the local clock, or a fast DAY_CYCLE_MS loop)
+// and tints the sand warm at sunrise and sunset and cool at night. Every change
+// re-shades the whole garden, so the timer only applies the sun once it has
+// moved or changed colour by a visible amount.
+const DAY_CYCLE_MS = 10 * 60 * 1000;
+const SUN_TICK_MS = { cycle: 5000, local: 60000 };
+const SUN_MIN_ANGLE = 1.5;    // degrees
+const SUN_MIN_ELEVATION = 1;  // degrees
+const SUN_MIN_TINT = 0.01;
+const SUNRISE_TINT = [1.1, 0.96, 0.8];
+const NIGHT_TINT = [0.55, 0.62, 0.8];
+const timeOfDaySelect = document.getElementById('timeOfDay');
+const sunLight = { x: -0.7, y: -0.7, elevation: 45, tintR: 1, tintG: 1, tintB: 1 };
+let timeOfDayTimer = null;
+let appliedSun = null;        // { angle, elevation, tint } last shaded with
+
+function getDayFraction(mode) {
+  if (mode === 'cycle') return (Date.now() % DAY_CYCLE_MS) / DAY_CYCLE_MS;
+  const now = new Date();
+  return (now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds()) / 86400;
+}
+
+// The sun rises on the right at 6:00, crosses the top at noon and sets on the
+// left at 18:00; the moon carries on over the top back to the right.
+function getSunAt(dayFraction) {
+  const daylight = (dayFraction - 0.25) / 0.5;
+  if (daylight >= 0 && daylight <= 1) {
+    const arc = Math.sin(Math.PI * daylight);
+    const low = 1 - arc;
+    const tint = SUNRISE_TINT.map((c) => (1 + (c - 1) * low) * (0.85 + 0.15 * arc));
+    return { angle: (450 - 180 * daylight) % 360, elevation: 8 + 62 * arc, tint };
+  }
+  const t = ((dayFraction + 0.25) % 1) / 0.5;
+  const arc = Math.sin(Math.PI * t);
+  // Dusk and dawn blend from the low-sun tint into moonlight
+  const night = Math.min(1, arc * 3);
+  const tint = SUNRISE_TINT.map((c, i) => c * 0.85 * (1 - night) + NIGHT_TINT[i] * night);
+  return { angle: (270 + 180 * t) % 360, elevation: 8 + 30 * arc, tint };
+}
+
+function isSunChangeVisible(a, b) {
+  const turn = Math.abs(((a.angle - b.angle + 540) % 360) - 180);
+  return turn >= SUN_MIN_ANGLE ||
+    Math.abs(a.elevation - b.elevation) >= SUN_MIN_ELEVATION ||
+    a.tint.some((c, i) => Math.abs(c - b.tint[i]) >= SUN_MIN_TINT);
+}
+
+// Pass onlyIfVisible to skip the re-shade while the sun has barely moved
+function updateLighting(onlyIfVisible = false) {
+  let angle = cached.lightAngle;
+  let elevation = cached.lightElevation;
+  let tint = [1, 1, 1];
+  if (timeOfDaySelect.value !== 'off') {
+    ({ angle, elevation, tint } = getSunAt(getDayFraction(timeOfDaySelect.value)));
+  }
+  const sun = { angle, elevation, tint };
+  if (onlyIfVisible && appliedSun && !isSunChangeVisible(sun, appliedSun)) return;
+  appliedSun = sun;
+  const rad = angle * Math.PI / 180;
+  const strength = 1.4 * Math.cos(elevation * Math.PI / 180);
+  sunLight.x = Math.sin(rad) * strength;
+  sunLight.y = -Math.cos(rad) * strength;
+  sunLight.elevation = elevation;
+  [sunLight.tintR, sunLight.tintG, sunLight.tintB] = tint;
+  markFullDirty();
+  requestRender();
+}
+
+function setTimeOfDayMode(mode) {
+  timeOfDaySelect.value = mode;
+  clearInterval(timeOfDayTimer);
+  timeOfDayTimer = null;
+  if (mode !== 'off') timeOfDayTimer = setInterval(() => updateLighting(true), SUN_TICK_MS[mode]);
+  sliderEls.lightAngle.el.disabled = mode !== 'off';
+  sliderEls.lightElevation.el.disabled = mode !== 'off';
+  updateLighting();
+}
+
+timeOfDaySelect.addEventListener('change', () => {
+  gtag('event', 'time_of_day', { mode: timeOfDaySelect.value });
+  setTimeOfDayMode(timeOfDaySelect.value);
+});
+
+// Cast shadows march from each pixel toward the light over the height field,
+// with one height unit standing SHADOW_PX_PER_HEIGHT pixels tall; the ray
+// climbs at the sun's elevation and gives up once it has risen above anything
+// a SHADOW_MAX_DROP deep groove could hide. Occluders poking less than
+// SHADOW_SOFTNESS above the ray give a partial shadow so edges stay soft.
+// Ambient occlusion darkens pixels sitting below a ring of neighbours.
+const SHADOW_PX_PER_HEIGHT = 6;
+const SHADOW_MAX_DROP = 2.0;
+const SHADOW_MAX_STEPS = 48;
+const SHADOW_SOFTNESS = 0.15;
+const SHADOW_DARKNESS = 0.3;
+const AO_RADIUS = 4;
+const AO_STRENGTH = 0.12;
+const AO_MAX = 0.4;
+let shadowsEnabled = false;
+let aoEnabled = false;
+
+// Ray for a field drawn `pxScale` times larger than the live canvas: one step
+// covers `pxScale` pixels so exports trace the same shape at the same cost.
+function getShadowRay(pxScale) {
+  const len = Math.hypot(sunLight.x, sunLight.y);
+  if (len < 1e-6) return null;
+  const rise = Math.tan(sunLight.elevation * Math.PI / 180) / SHADOW_PX_PER_HEIGHT;
+  return {
+    stepX: sunLight.x / len * pxScale,
+    stepY: sunLight.y / len * pxScale,
+    rise,
+    steps: Math.min(SHADOW_MAX_STEPS, Math.ceil(SHADOW_MAX_DROP / rise)),
+  };
+}
+
+function setShadowsEnabled(enabled) {
+  shadowsEnabled = !!enabled;
+  markFullDirty();
+  requestRender();
+}
+
+function setAmbientOcclusionEnabled(enabled) {
+  aoEnabled = !!enabled;
+  markFullDirty();
+  requestRender();
+}
+
 // --- Render (optimization #2: dirty-region, #5: reused ImageData) ---
-function render() {
-  const renderStart = performance.now();
-  const d = imageDataBuf;
-  const lightX = -0.7;
-  const lightY = -0.7;
-  let slimeVisualPending = false;
-  const hadDirty = !dirtyEmpty;
+// Eases the visible slime toward the real amount over [x0..x1] x [y0..y1];
+// returns true while some of it is still fading in.
+function easeSlimeDisplay(slime, slimeDisplay, w, x0, y0, x1, y1) {
+  let pending = false;
+  for (let y = y0; y <= y1; y++) {
+    const yW = y * w;
+    for (let x = x0; x <= x1; x++) {
+      const idx = yW + x;
+      const amount = slime[idx];
+      let display = slimeDisplay[idx];
+      if (display > amount) {
+        display = amount; // cleaned slime disappears immediately
+      } else if (display < amount) {
+        const delta = amount - display;
+        display += Math.max(0.0015, delta * SLIME_SPAWN_FADE_GAIN);
+        if (display > amount) display = amount;
+        if (display + 0.0005 < amount) pending = true;
+      }
+      slimeDisplay[idx] = display;
+    }
+  }
+  return pending;
+}
 
-  // Cache slider values for this frame
+// Shade pixels [x0..x1] x [y0..y1] of a sand field set into an RGBA buffer.
+// Shared by the live canvas and still exports, which pass upsampled fields:
+// `f` = { w, h, pxScale, height, r, g, b, noise, normD, invNormD2, quote, slime },
+// where pxScale is how many field pixels make up one CSS pixel of the garden.
+function shadeSandRegion(d, f, x0, y0, x1, y1) {
+  const { w, h, pxScale, height, r, g, b, noise, normD, invNormD2, quote, slime } = f;
+  const { x: lightX, y: lightY, tintR, tintG, tintB } = sunLight;
   const lightMul = cached.light;
   const noiseMul = cached.noise;
-  const normD = cached.normD;
-  const normDW = normD * W;
-  const invNormD2 = 1 / (normD * 2);
-
-  // Expand dirty rect by normD+1 for normal sampling neighbors
-  const normPad = normD + 1;
-  const rMinX = Math.max(0, dirtyMinX - normPad);
-  const rMinY = Math.max(0, dirtyMinY - normPad);
-  const rMaxX = Math.min(W - 1, dirtyMaxX + normPad);
-  const rMaxY = Math.min(H - 1, dirtyMaxY + normPad);
-
-  if (!dirtyEmpty) {
-    for (let y = rMinY; y <= rMaxY; y++) {
-      const yW = y * W;
-      for (let x = rMinX; x <= rMaxX; x++) {
-        const idx = yW + x;
-        const pi = idx << 2;
-
-        const h = sandHeight[idx];
-        const baseR = sandR[idx];
-        const baseG = sandG[idx];
-        const baseB = sandB[idx];
-
-        let lighting = 1.0;
-        if (x >= normD && x < W - normD && y >= normD && y < H - normD) {
-          const dhdx = (sandHeight[idx + normD] - sandHeight[idx - normD]) * invNormD2;
-          const dhdy = (sandHeight[idx + normDW] - sandHeight[idx - normDW]) * invNormD2;
-          const dot = -(dhdx * lightX + dhdy * lightY);
-          lighting = 1.0 + dot * lightMul;
-        }
+  const normDW = normD * w;
+
+  const ray = shadowsEnabled ? getShadowRay(pxScale) : null;
+  const rayStepX = ray ? ray.stepX : 0;
+  const rayStepY = ray ? ray.stepY : 0;
+  const rayRise = ray ? ray.rise * pxScale : 0;
+  const raySteps = ray ? ray.steps : 0;
+  const aoR = aoEnabled ? Math.round(AO_RADIUS * pxScale) : 0;
+  const aoD = Math.round(aoR * Math.SQRT1_2);
+  const aoTaps = aoEnabled ? [
+    -aoR, aoR, -aoR * w, aoR * w,
+    -aoD * w - aoD, -aoD * w + aoD, aoD * w - aoD, aoD * w + aoD
+  ] : null;
+
+  for (let y = y0; y <= y1; y++) {
+    const yW = y * w;
+    for (let x = x0; x <= x1; x++) {
+      const idx = yW + x;
+      const pi = idx << 2;
+
+      const hv = height[idx];
+      const baseR = r[idx];
+      const baseG = g[idx];
+      const baseB = b[idx];
+
+      let lighting = 1.0;
+      if (x >= normD && x < w - normD && y >= normD && y < h - normD) {
+        const dhdx = (height[idx + normD] - height[idx - normD]) * invNormD2;
+        const dhdy = (height[idx + normDW] - height[idx - normDW]) * invNormD2;
+        const dot = -(dhdx * lightX + dhdy * lightY);
+        lighting = 1.0 + dot * lightMul;
+      }
 
-        if (diggingMode) {
-          // Digging mode: color layers based on how deep height has been carved
-          // Sand starts at 2.0 and goes down to 0.1 (total depth 1.9)
-          const dug = 2.0 - h;
-          const normDug = dug > 1.89 ? 1 : dug < 0 ? 0 : dug / 1.89;
-
-          // Normal groove lighting from sandHeight (normalize h so surface 2.0 matches regular 1.0)
-          const hNorm = h * 0.5;
-          const heightBr = 0.82 + 0.18 * (hNorm < 0 ? 0 : hNorm > 1 ? 1 : hNorm);
-          const shade = lighting * heightBr;
-          const noise = noiseMap[idx] * shade * noiseMul;
-
-          // Base color comes from sandR/G/B (updated during carve)
-          let lR = baseR; 
-          let lG = baseG; 
-          let lB = baseB;
-
-          if (normDug > 0.85 && quotePixels && quotePixels[idx] > 0) {
-            // Quote reveal: blend toward warm accent #e8d5b7
-            const quoteAlpha = quotePixels[idx] / 255;
-            const qt = ((normDug - 0.85) / 0.15) * quoteAlpha;
-            const qInv = 1 - qt;
-            d[pi]     = lR * shade * qInv + 232 * qt + noise;
-            d[pi + 1] = lG * shade * qInv + 213 * qt + noise;
-            d[pi + 2] = lB * shade * qInv + 183 * qt + noise;
-          } else {
-            d[pi]     = lR * shade + noise;
-            d[pi + 1] = lG * shade + noise;
-            d[pi + 2] = lB * shade + noise;
+      if (raySteps > 0) {
+        let sx = x + 0.5;
+        let sy = y + 0.5;
+        let rayH = hv;
+        let block = 0;
+        for (let s = 0; s < raySteps; s++) {
+          sx += rayStepX;
+          sy += rayStepY;
+          rayH += rayRise;
+          if (sx < 0 || sy < 0 || sx >= w || sy >= h) break;
+          const over = height[(sy | 0) * w + (sx | 0)] - rayH;
+          if (over > block) {
+            block = over;
+            if (block >= SHADOW_SOFTNESS) break;
           }
-          d[pi + 3] = 255;
+        }
+        if (block > 0) lighting *= 1 - SHADOW_DARKNESS * Math.min(1, block / SHADOW_SOFTNESS);
+      }
+
+      if (aoTaps && x >= aoR && x < w - aoR && y >= aoR && y < h - aoR) {
+        let occ = 0;
+        for (let t = 0; t < 8; t++) {
+          const above = height[idx + aoTaps[t]] - hv;
+          if (above > 0) occ += above;
+        }
+        lighting *= 1 - Math.min(AO_MAX, occ * AO_STRENGTH);
+      }
+
+      if (diggingMode) {
+        // Digging mode: color layers based on how deep height has been carved
+        // Sand starts at 2.0 and goes down to 0.1 (total depth 1.9)
+        const dug = 2.0 - hv;
+        const normDug = dug > 1.89 ? 1 : dug < 0 ? 0 : dug / 1.89;
+
+        // Normal groove lighting from the height field (normalize so surface 2.0 matches regular 1.0)
+        const hNorm = hv * 0.5;
+        const heightBr = 0.82 + 0.18 * (hNorm < 0 ? 0 : hNorm > 1 ? 1 : hNorm);
+        const shade = lighting * heightBr;
+        const grain = noise[idx] * shade * noiseMul;
+
+        // Base color comes from sandR/G/B (updated during carve)
+        let lR = baseR; 
+        let lG = baseG; 
+        let lB = baseB;
+
+        if (normDug > 0.85 && quote && quote[idx] > 0) {
+          // Quote reveal: blend toward warm accent #e8d5b7
+          const quoteAlpha = quote[idx] / 255;
+          const qt = ((normDug - 0.85) / 0.15) * quoteAlpha;
+          const qInv = 1 - qt;
+          d[pi]     = (lR * shade * qInv + 232 * qt + grain) * tintR;
+          d[pi + 1] = (lG * shade * qInv + 213 * qt + grain) * tintG;
+          d[pi + 2] = (lB * shade * qInv + 183 * qt + grain) * tintB;
         } else {
-          const heightBrightness = 0.82 + 0.18 * (h < 0 ? 0 : h > 2 ? 2 : h);
-          const shade = lighting * heightBrightness;
-          const noise = noiseMap[idx] * shade * noiseMul;
-          let outR = baseR * shade + noise;
-          let outG = baseG * shade + noise;
-          let outB = baseB * shade + noise;
-
-          if (slimeMode && slimeAmount) {
-            let slime = slimeAmount[idx];
-            if (slimeDisplayAmount) {
-              let display = slimeDisplayAmount[idx];
-              if (display > slime) {
-                display = slime; // cleaned slime disappears immediately
-              } else if (display < slime) {
-                const delta = slime - display;
-                display += Math.max(0.0015, delta * SLIME_SPAWN_FADE_GAIN);
-                if (display > slime) display = slime;
-                if (display + 0.0005 < slime) slimeVisualPending = true;
-              }
-              slimeDisplayAmount[idx] = display;
-              slime = display;
-            }
-            if (slime > 0.001) {
-              const t = Math.min(1, slime * SLIME_VISUAL_GAIN);
-              const mix = t * 0.78;
-              const glow = 0.9 + lighting * 0.1;
-              const slimeR = 65 * glow;
-              const slimeG = 195 * glow;
-              const slimeB = 82 * glow;
-              outR = outR * (1 - mix) + slimeR * mix;
-              outG = outG * (1 - mix) + slimeG * mix;
-              outB = outB * (1 - mix) + slimeB * mix;
-            }
+          d[pi]     = (lR * shade + grain) * tintR;
+          d[pi + 1] = (lG * shade + grain) * tintG;
+          d[pi + 2] = (lB * shade + grain) * tintB;
+        }
+        d[pi + 3] = 255;
+      } else {
+        const heightBrightness = 0.82 + 0.18 * (hv < 0 ? 0 : hv > 2 ? 2 : hv);
+        const shade = lighting * heightBrightness;
+        const grain = noise[idx] * shade * noiseMul;
+        let outR = baseR * shade + grain;
+        let outG = baseG * shade + grain;
+        let outB = baseB * shade + grain;
+
+        if (slimeMode && slime) {
+          const amount = slime[idx];
+          if (amount > 0.001) {
+            const t = Math.min(1, amount * SLIME_VISUAL_GAIN);
+            const mix = t * 0.78;
+            const glow = 0.9 + lighting * 0.1;
+            const slimeR = 65 * glow;
+            const slimeG = 195 * glow;
+            const slimeB = 82 * glow;
+            outR = outR * (1 - mix) + slimeR * mix;
+            outG = outG * (1 - mix) + slimeG * mix;
+            outB = outB * (1 - mix) + slimeB * mix;
           }
-
-          // Uint8ClampedArray auto-clamps to [0, 255] — no Math.max/min needed
-          d[pi]     = outR;
-          d[pi + 1] = outG;
-          d[pi + 2] = outB;
-          d[pi + 3] = 255;
         }
+
+        // Uint8ClampedArray auto-clamps to [0, 255] — no Math.max/min needed
+        d[pi]     = outR * tintR;
+        d[pi + 1] = outG * tintG;
+        d[pi + 2] = outB * tintB;
+        d[pi + 3] = 255;
       }
     }
+  }
+}
+
+function getLiveSandFields() {
+  settleSandWorker();
+  const normD = cached.normD;
+  return {
+    w: W,
+    h: H,
+    pxScale: pixelRatio,
+    height: sandHeight,
+    r: sandR,
+    g: sandG,
+    b: sandB,
+    noise: noiseMap,
+    normD,
+    invNormD2: 1 / (normD * 2),
+    quote: quotePixels,
+    // What is on screen: the eased slime while it fades in
+    slime: slimeDisplayAmount || slimeAmount
+  };
+}
 
-    // Blit only the dirty region
-    const dw = rMaxX - rMinX + 1;
-    const dh = rMaxY - rMinY + 1;
-    ctx.putImageData(imageData, 0, 0, rMinX, rMinY, dw, dh);
+function render() {
+  const renderStart = performance.now();
+  const d = imageDataBuf;
+  let slimeVisualPending = false;
+  const normD = cached.normD;
+  const dirtyRects = dirtyEmpty ? [] : getDirtyRects();
+  // Tiles kept for the next frame while the render worker is busy
+  let holdDirty = false;
+
+  // Expand dirty rects by normD+1 for normal sampling neighbors, by the AO
+  // ring, and away from the light by the length of a shadow cast into them
+  const normPad = normD + 1 + (aoEnabled ? Math.round(AO_RADIUS * pixelRatio) : 0);
+  let padL = normPad, padR = normPad, padT = normPad, padB = normPad;
+  const ray = shadowsEnabled ? getShadowRay(pixelRatio) : null;
+  if (ray) {
+    const reachX = Math.ceil(Math.abs(ray.stepX) * ray.steps);
+    const reachY = Math.ceil(Math.abs(ray.stepY) * ray.steps);
+    if (ray.stepX < 0) padR += reachX; else padL += reachX;
+    if (ray.stepY < 0) padB += reachY; else padT += reachY;
+  }
+  const shadeRects = padDirtyRects(dirtyRects, padL, padT, padR, padB);
+
+  if (dirtyRects.length > 0) {
+    if (sandWorker && sandWorker.busy) {
+      holdDirty = true;
+    } else {
+      slimeVisualPending = easeLiveSlime(dirtyRects);
+      if (gpu) {
+        renderSandGpu(shadeRects);
+      } else if (sandWorker) {
+        renderSandWorker(shadeRects);
+      } else {
+        const fields = getLiveSandFields();
+        for (const [x0, y0, x1, y1] of shadeRects) {
+          shadeSandRegion(d, fields, x0, y0, x1, y1);
+          // Blit only the dirty region
+          ctx.putImageData(imageData, 0, 0, x0, y0, x1 - x0 + 1, y1 - y0 + 1);
+        }
+      }
+      if (dirtyOverlay) drawDirtyOverlay(dirtyRects, shadeRects);
+    }
+    if (gpu || sandWorker) {
+      // The sand is drawn underneath; clear the overlay so old cursors go away
+      for (const [x0, y0, x1, y1] of shadeRects) ctx.clearRect(x0, y0, x1 - x0 + 1, y1 - y0 + 1);
+    }
   }
 
   // Draw sand particles
@@ -1582,7 +3121,7 @@ function render() {
     ctx.save();
     for (let i = 0; i < partCount; i++) {
       const alpha = partLife[i] / partMaxLife[i];
-      const size = 1.5 * (0.4 + 0.6 * alpha); // 0.6–1.5px
+      const size = 1.5 * (0.4 + 0.6 * alpha) * pixelRatio; // 0.6–1.5 CSS px
       ctx.globalAlpha = alpha * 0.5;
       // Slight brightness lift so particles read against sand
       const bright = 1.12;
@@ -1597,7 +3136,7 @@ function render() {
     ctx.restore();
   }
 
-  resetDirty();
+  if (!holdDirty) resetDirty();
 
   // Mark cursor area dirty for NEXT frame so putImageData erases this overlay
   markCursorDirty();
@@ -1607,6 +3146,7 @@ function render() {
     ctx.save();
     const tineRadius = cached.tineRadius;
     const offsets = getActiveRakeOffsets(tineRadius);
+    const tines = getActiveRakeTines(tineRadius);
     const [perpX, perpY] = getPerpAt(rakeHeadX, rakeHeadY);
 
     function drawTinesAt(cx, cy, px, py, strokeAlpha, fillAlpha) {
@@ -1616,7 +3156,7 @@ function render() {
         const ny = px;
         ctx.strokeStyle = `rgba(80, 60, 40, ${strokeAlpha})`;
         ctx.fillStyle = `rgba(80, 60, 40, ${fillAlpha})`;
-        ctx.lineWidth = 1.5;
+        ctx.lineWidth = 1.5 * pixelRatio;
         ctx.beginPath();
         ctx.moveTo(cx + px * halfWidth + nx * tineRadius, cy + py * halfWidth + ny * tineRadius);
         ctx.lineTo(cx + px * halfWidth - nx * tineRadius, cy + py * halfWidth - ny * tineRadius);
@@ -1628,20 +3168,20 @@ function render() {
       } else {
         ctx.strokeStyle = `rgba(80, 60, 40, ${strokeAlpha})`;
         ctx.fillStyle = `rgba(80, 60, 40, ${fillAlpha})`;
-        ctx.lineWidth = 1;
-        for (const offset of offsets) {
-          const tx = cx + px * offset;
-          const ty = cy + py * offset;
+        ctx.lineWidth = pixelRatio;
+        for (const tine of tines) {
+          const tx = cx + px * tine.offset;
+          const ty = cy + py * tine.offset;
           ctx.beginPath();
-          ctx.arc(tx, ty, tineRadius, 0, Math.PI * 2);
+          ctx.arc(tx, ty, tine.radius, 0, Math.PI * 2);
           ctx.stroke();
           ctx.fill();
         }
-        if (offsets.length > 1) {
+        if (tines.length > 1) {
           ctx.strokeStyle = `rgba(80, 60, 40, ${strokeAlpha * 0.7})`;
-          ctx.lineWidth = 2;
-          const first = offsets[0];
-          const last = offsets[offsets.length - 1];
+          ctx.lineWidth = 2 * pixelRatio;
+          const first = tines[0].offset;
+          const last = tines[tines.length - 1].offset;
           ctx.beginPath();
           ctx.moveTo(cx + px * first, cy + py * first);
           ctx.lineTo(cx + px * last, cy + py * last);
@@ -1653,7 +3193,7 @@ function render() {
     function drawHandleAt(gripX, gripY, headX, headY, handleAlpha) {
       // Handle line from grip (cursor) to rake head
       ctx.strokeStyle = `rgba(80, 60, 40, ${handleAlpha * 0.7})`;
-      ctx.lineWidth = 2;
+      ctx.lineWidth = 2 * pixelRatio;
       ctx.beginPath();
       ctx.moveTo(gripX, gripY);
       ctx.lineTo(headX, headY);
@@ -1661,7 +3201,7 @@ function render() {
       // Grip dot at cursor position
       ctx.fillStyle = `rgba(80, 60, 40, ${handleAlpha * 0.85})`;
       ctx.beginPath();
-      ctx.arc(gripX, gripY, 3, 0, Math.PI * 2);
+      ctx.arc(gripX, gripY, 3 * pixelRatio, 0, Math.PI * 2);
       ctx.fill();
     }
 
@@ -1672,7 +3212,7 @@ function render() {
     }
 
     // Mirror ghost cursors
-    if (mirrorV || mirrorH || mirrorD) {
+    if (hasSymmetry()) {
       const pts = getSymmetryPoints(rakeHeadX, rakeHeadY, 0, 0, perpX, perpY);
       // Also mirror the grip (cursor) position
       const gripPts = getSymmetryPoints(mouseX, mouseY, 0, 0, perpX, perpY);
@@ -1689,8 +3229,8 @@ function render() {
   // Draw watermark for timelapse recording
   tlDrawWatermark();
 
-  if (slimeMode && slimeVisualPending && hadDirty) {
-    markDirtyRect(rMinX, rMinY, rMaxX, rMaxY);
+  if (slimeMode && slimeVisualPending) {
+    for (const rect of dirtyRects) markDirtyRect(...rect);
     requestRender();
   }
 
@@ -1702,15 +3242,697 @@ function render() {
   carveTimeAccum = 0;
 }
 
+// --- WebGL renderer ---
+// Optional GPU path for the sand: the fields live in textures that are patched
+// over the dirty rect each frame, and a fragment shader mirrors
+// shadeSandRegion() pixel for pixel. It draws into a WebGL2 sand layer.
+// Only core WebGL2 features are used (float textures are read with texelFetch,
+// never filtered) so it also runs on software GL. Still exports and anything
+// the GPU can't do stay on the CPU path.
+// The GPU and worker renderers draw the sand into a canvas placed under the
+// garden canvas, which then only carries the cursor and particles.
+function attachSandLayer(layer) {
+  layer.className = 'sand-layer';
+  canvas.parentNode.insertBefore(layer, canvas);
+  canvas.parentNode.classList.add('sand-layered');
+}
+
+function detachSandLayer(layer) {
+  layer.remove();
+  canvas.parentNode.classList.remove('sand-layered');
+}
+
+function getSandLayer() {
+  if (gpu) return gpu.canvas;
+  if (sandWorker) return sandWorker.canvas;
+  return null;
+}
+
+const GPU_VERTEX_SHADER = `#version 300 es
+void main() {
+  vec2 corner = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+  gl_Position = vec4(corner * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+function glFloat(v) {
+  return Number.isInteger(v) ? v.toFixed(1) : String(v);
+}
+
+const GPU_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+precision highp int;
+precision highp sampler2D;
+
+uniform sampler2D uHeight;
+uniform sampler2D uR;
+uniform sampler2D uG;
+uniform sampler2D uB;
+uniform sampler2D uNoise;
+uniform sampler2D uSlime;
+uniform sampler2D uQuote;
+uniform ivec2 uSize;
+uniform int uNormD;
+uniform vec2 uLight;
+uniform vec3 uTint;
+uniform float uLightMul;
+uniform float uNoiseMul;
+uniform bool uDigging;
+uniform bool uQuoteOn;
+uniform bool uSlimeOn;
+uniform int uShadowSteps;
+uniform vec2 uShadowStep;
+uniform float uShadowRise;
+uniform int uAoRadius;
+out vec4 outColor;
+
+float heightAt(ivec2 p) {
+  return texelFetch(uHeight, p, 0).r;
+}
+
+void main() {
+  ivec2 p = ivec2(int(gl_FragCoord.x), uSize.y - 1 - int(gl_FragCoord.y));
+  float hv = heightAt(p);
+  vec3 base = vec3(texelFetch(uR, p, 0).r, texelFetch(uG, p, 0).r, texelFetch(uB, p, 0).r);
+  float noise = texelFetch(uNoise, p, 0).r;
+
+  float lighting = 1.0;
+  if (p.x >= uNormD && p.x < uSize.x - uNormD && p.y >= uNormD && p.y < uSize.y - uNormD) {
+    float invNormD2 = 1.0 / float(uNormD * 2);
+    float dhdx = (heightAt(p + ivec2(uNormD, 0)) - heightAt(p - ivec2(uNormD, 0))) * invNormD2;
+    float dhdy = (heightAt(p + ivec2(0, uNormD)) - heightAt(p - ivec2(0, uNormD))) * invNormD2;
+    lighting = 1.0 - (dhdx * uLight.x + dhdy * uLight.y) * uLightMul;
+  }
+
+  if (uShadowSteps > 0) {
+    vec2 ray = vec2(p) + 0.5;
+    float rayH = hv;
+    float block = 0.0;
+    for (int i = 0; i < uShadowSteps; i++) {
+      ray += uShadowStep;
+      rayH += uShadowRise;
+      if (ray.x < 0.0 || ray.y < 0.0 || ray.x >= float(uSize.x) || ray.y >= float(uSize.y)) break;
+      float over = heightAt(ivec2(ray)) - rayH;
+      if (over > block) {
+        block = over;
+        if (block >= ${glFloat(SHADOW_SOFTNESS)}) break;
+      }
+    }
+    if (block > 0.0) lighting *= 1.0 - ${glFloat(SHADOW_DARKNESS)} * min(1.0, block / ${glFloat(SHADOW_SOFTNESS)});
+  }
+
+  int r = uAoRadius;
+  if (r > 0 && p.x >= r && p.x < uSize.x - r && p.y >= r && p.y < uSize.y - r) {
+    int d = int(round(float(r) * 0.70710678));
+    float occ = max(heightAt(p + ivec2(-r, 0)) - hv, 0.0) + max(heightAt(p + ivec2(r, 0)) - hv, 0.0)
+      + max(heightAt(p + ivec2(0, -r)) - hv, 0.0) + max(heightAt(p + ivec2(0, r)) - hv, 0.0)
+      + max(heightAt(p + ivec2(-d, -d)) - hv, 0.0) + max(heightAt(p + ivec2(d, -d)) - hv, 0.0)
+      + max(heightAt(p + ivec2(-d, d)) - hv, 0.0) + max(heightAt(p + ivec2(d, d)) - hv, 0.0);
+    lighting *= 1.0 - min(${glFloat(AO_MAX)}, occ * ${glFloat(AO_STRENGTH)});
+  }
+
+  vec3 color;
+  if (uDigging) {
+    float normDug = clamp((2.0 - hv) / 1.89, 0.0, 1.0);
+    float shade = lighting * (0.82 + 0.18 * clamp(hv * 0.5, 0.0, 1.0));
+    float grain = noise * shade * uNoiseMul;
+    color = base * shade + grain;
+    float quote = uQuoteOn ? texelFetch(uQuote, p, 0).r : 0.0;
+    if (normDug > 0.85 && quote > 0.0) {
+      // Quote reveal: blend toward warm accent #e8d5b7
+      float qt = ((normDug - 0.85) / 0.15) * quote;
+      color = base * shade * (1.0 - qt) + vec3(232.0, 213.0, 183.0) * qt + grain;
+    }
+  } else {
+    float shade = lighting * (0.82 + 0.18 * clamp(hv, 0.0, 2.0));
+    color = base * shade + noise * shade * uNoiseMul;
+    float amount = uSlimeOn ? texelFetch(uSlime, p, 0).r : 0.0;
+    if (amount > 0.001) {
+      float slimeMix = min(1.0, amount * ${glFloat(SLIME_VISUAL_GAIN)}) * 0.78;
+      float glow = 0.9 + lighting * 0.1;
+      color = color * (1.0 - slimeMix) + vec3(65.0, 195.0, 82.0) * glow * slimeMix;
+    }
+  }
+  outColor = vec4(color * uTint / 255.0, 1.0);
+}`;
+
+const GPU_TEXTURES = ['uHeight', 'uR', 'uG', 'uB', 'uNoise', 'uSlime', 'uQuote'];
+let gpu = null; // live WebGL renderer state while GPU rendering is on
+
+function compileGpuShader(gl, type, source) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    throw new Error(gl.getShaderInfoLog(shader) || 'Shader failed to compile');
+  }
+  return shader;
+}
+
+// Returns null when WebGL2 isn't available
+function createGpuRenderer() {
+  const glCanvas = document.createElement('canvas');
+  const gl = glCanvas.getContext('webgl2', {
+    alpha: false,
+    antialias: false,
+    depth: false,
+    stencil: false,
+    premultipliedAlpha: false,
+    // Kept so the timelapse can copy the sand between redraws
+    preserveDrawingBuffer: true
+  });
+  if (!gl) return null;
+
+  const program = gl.createProgram();
+  try {
+    gl.attachShader(program, compileGpuShader(gl, gl.VERTEX_SHADER, GPU_VERTEX_SHADER));
+    gl.attachShader(program, compileGpuShader(gl, gl.FRAGMENT_SHADER, GPU_FRAGMENT_SHADER));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(gl.getProgramInfoLog(program) || 'Shader program failed to link');
+    }
+  } catch (err) {
+    console.warn('GPU rendering unavailable:', err);
+    return null;
+  }
+  gl.useProgram(program);
+
+  const uniforms = {};
+  const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < count; i++) {
+    const name = gl.getActiveUniform(program, i).name;
+    uniforms[name] = gl.getUniformLocation(program, name);
+  }
+  GPU_TEXTURES.forEach((name, unit) => gl.uniform1i(uniforms[name], unit));
+
+  gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+  gl.disable(gl.DEPTH_TEST);
+  gl.disable(gl.BLEND);
+  gl.enable(gl.SCISSOR_TEST);
+
+  glCanvas.addEventListener('webglcontextlost', (e) => {
+    e.preventDefault();
+    console.warn('GPU rendering lost its context, falling back to the CPU');
+    setGpuRendering(false);
+  });
+
+  return {
+    gl,
+    canvas: glCanvas,
+    uniforms,
+    textures: {},
+    // What each texture currently holds, to spot swapped or resized buffers
+    sources: {},
+    noiseSeed: null,
+    w: 0,
+    h: 0
+  };
+}
+
+// Single-channel float texture sized to the garden (R8 for the quote mask)
+function allocGpuTexture(gl, unit, bytes) {
+  const tex = gl.createTexture();
+  gl.activeTexture(gl.TEXTURE0 + unit);
+  gl.bindTexture(gl.TEXTURE_2D, tex);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.texStorage2D(gl.TEXTURE_2D, 1, bytes ? gl.R8 : gl.R32F, W, H);
+  return tex;
+}
+
+// Copies [x0..x1] x [y0..y1] of a W-wide field into its texture
+function uploadGpuRect(name, buf, x0, y0, x1, y1) {
+  const { gl } = gpu;
+  const unit = GPU_TEXTURES.indexOf(name);
+  gl.activeTexture(gl.TEXTURE0 + unit);
+  gl.bindTexture(gl.TEXTURE_2D, gpu.textures[name]);
+  gl.pixelStorei(gl.UNPACK_ROW_LENGTH, W);
+  gl.pixelStorei(gl.UNPACK_SKIP_PIXELS, x0);
+  gl.pixelStorei(gl.UNPACK_SKIP_ROWS, y0);
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, x0, y0, x1 - x0 + 1, y1 - y0 + 1,
+    gl.RED, buf instanceof Uint8Array ? gl.UNSIGNED_BYTE : gl.FLOAT, buf);
+  gpu.sources[name] = buf;
+}
+
+// Brings the textures up to date for a redraw of `rects`. Fields the sim
+// edits in place only need those rects; a swapped buffer is sent whole.
+function syncGpuTextures(rects) {
+  const { gl } = gpu;
+  if (gpu.w !== W || gpu.h !== H) {
+    for (const name of GPU_TEXTURES) {
+      if (gpu.textures[name]) gl.deleteTexture(gpu.textures[name]);
+      gpu.textures[name] = allocGpuTexture(gl, GPU_TEXTURES.indexOf(name), name === 'uQuote');
+    }
+    gpu.sources = {};
+    gpu.noiseSeed = null;
+    gpu.canvas.width = W;
+    gpu.canvas.height = H;
+    gl.viewport(0, 0, W, H);
+    gpu.w = W;
+    gpu.h = H;
+  }
+  const slime = slimeMode ? slimeDisplayAmount || slimeAmount : null;
+  const quote = diggingMode ? quotePixels : null;
+  const fields = { uHeight: sandHeight, uR: sandR, uG: sandG, uB: sandB, uSlime: slime, uQuote: quote };
+  for (const name in fields) {
+    const buf = fields[name];
+    if (!buf) continue;
+    if (gpu.sources[name] !== buf) uploadGpuRect(name, buf, 0, 0, W - 1, H - 1);
+    else if (name !== 'uQuote') rects.forEach((rect) => uploadGpuRect(name, buf, ...rect));
+  }
+  if (gpu.sources.uNoise !== noiseMap || gpu.noiseSeed !== noiseSeed) {
+    uploadGpuRect('uNoise', noiseMap, 0, 0, W - 1, H - 1);
+    gpu.noiseSeed = noiseSeed;
+  }
+}
+
+// GPU counterpart of shadeSandRegion() for the live garden
+function renderSandGpu(rects) {
+  const { gl, uniforms: u } = gpu;
+  syncGpuTextures(rects);
+
+  const ray = shadowsEnabled ? getShadowRay(pixelRatio) : null;
+  gl.uniform2i(u.uSize, W, H);
+  gl.uniform1i(u.uNormD, cached.normD);
+  gl.uniform2f(u.uLight, sunLight.x, sunLight.y);
+  gl.uniform3f(u.uTint, sunLight.tintR, sunLight.tintG, sunLight.tintB);
+  gl.uniform1f(u.uLightMul, cached.light);
+  gl.uniform1f(u.uNoiseMul, cached.noise);
+  gl.uniform1i(u.uDigging, diggingMode ? 1 : 0);
+  gl.uniform1i(u.uQuoteOn, diggingMode && quotePixels ? 1 : 0);
+  gl.uniform1i(u.uSlimeOn, slimeMode && slimeAmount ? 1 : 0);
+  gl.uniform1i(u.uShadowSteps, ray ? ray.steps : 0);
+  gl.uniform2f(u.uShadowStep, ray ? ray.stepX : 0, ray ? ray.stepY : 0);
+  gl.uniform1f(u.uShadowRise, ray ? ray.rise * pixelRatio : 0);
+  gl.uniform1i(u.uAoRadius, aoEnabled ? Math.round(AO_RADIUS * pixelRatio) : 0);
+
+  for (const [x0, y0, x1, y1] of rects) {
+    // WebGL rows count up from the bottom
+    gl.scissor(x0, H - 1 - y1, x1 - x0 + 1, y1 - y0 + 1);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+}
+
+function setGpuRendering(enabled) {
+  if (enabled && !gpu) {
+    if (sandWorker) setWorkerRendering(false);
+    gpu = createGpuRenderer();
+    if (!gpu) {
+      gpuToggle.checked = false;
+      gpuToggle.disabled = true;
+      gpuToggle.closest('.size-controls').title = 'WebGL2 is not available in this browser';
+      return false;
+    }
+    attachSandLayer(gpu.canvas);
+  } else if (!enabled && gpu) {
+    detachSandLayer(gpu.canvas);
+    const ext = gpu.gl.getExtension('WEBGL_lose_context');
+    gpu = null;
+    if (ext) ext.loseContext();
+  }
+  gpuToggle.checked = !!gpu;
+  ctx.clearRect(0, 0, W, H);
+  markFullDirty();
+  requestRender();
+  return !!gpu;
+}
+
+const gpuToggle = document.getElementById('gpuToggle');
+gpuToggle.addEventListener('change', () => {
+  setGpuRendering(gpuToggle.checked);
+  gtag('event', 'gpu_rendering_toggle', { enabled: !!gpu });
+  saveSettings();
+});
+
+// --- Render worker ---
+// Optional CPU path that runs the sand on a worker thread and shades it into
+// an OffscreenCanvas sand layer, so big rakes and big dirty areas don't stall
+// input. Its source is assembled from the functions below, so there is only
+// one copy of the carving and shading code.
+// Fields in shared memory (see createSandField) are handed over once and used
+// in place. Then live sandbox strokes carve on the worker too: the page turns
+// pointer moves into tine stamps, saves the undo tiles and marks the dirty
+// tiles each stamp can reach, and posts the stamps; the worker runs
+// carveTine() on them and sends back the touched pixels and particles.
+// Anything on the page that reads or writes the sand calls settleSandWorker()
+// first. Without shared memory the worker only shades, from its own copy
+// that the page patches with the dirty rect of every changed field each frame.
+const SAND_WORKER_CONSTANTS = {
+  SHADOW_PX_PER_HEIGHT, SHADOW_MAX_DROP, SHADOW_MAX_STEPS, SHADOW_SOFTNESS, SHADOW_DARKNESS,
+  AO_RADIUS, AO_STRENGTH, AO_MAX, SLIME_VISUAL_GAIN, SLIME_SPAWN_FADE_GAIN,
+  MAX_KERNEL, MAX_DISP, MAX_PARTICLES, TINE_PROFILE_CACHE_MAX, SERRATED_TEETH, SERRATED_RIDGE
+};
+// carveTine() and spawnParticles() as the worker sees the page: undo and dirty
+// tiles were handled when the stamp was queued, touched pixels and particles
+// are collected for the page
+const SAND_WORKER_CARVE_GLOBALS = [
+  'let W = 0, H = 0, sandHeight = null, sandR = null, sandG = null, sandB = null;',
+  'let autosaveDirty = false, historyEntry = null, pixelRatio = 1, carveShape = "rounded";',
+  'let partCount = 0, trackFade = false;',
+  'const touchedPixels = [], newParticles = [];',
+  'const fxRandom = Math.random;',
+  'const dispIdx = new Int32Array(MAX_DISP), dispAmount = new Float32Array(MAX_DISP);',
+  'const dispSrcR = new Float32Array(MAX_DISP), dispSrcG = new Float32Array(MAX_DISP), dispSrcB = new Float32Array(MAX_DISP);',
+  'const gaussDx = new Int8Array(MAX_KERNEL), gaussDy = new Int8Array(MAX_KERNEL), gaussW = new Float32Array(MAX_KERNEL);',
+  'let gaussLen = 0, builtSpreadR = -1;',
+  'let tineProfileR = -1, tineProfileDepth = -1, tineProfileRim = -1, tineProfileShape = "";',
+  'let tineProfile = null, tineProfileStride = 0;',
+  'const tineProfileCache = new Map();',
+  'function getActiveTineShape() { return carveShape; }',
+  'function markDirty() {}',
+  'function trackFadePixel(idx) { if (trackFade) touchedPixels.push(idx); }',
+  'function addParticle(...p) { newParticles.push(p); partCount++; }',
+  'function startParticleLoop() {}'
+];
+const SAND_WORKER_FIELDS = ['height', 'r', 'g', 'b', 'noise', 'slime', 'quote'];
+const SAND_WORKER_SETTLE_MS = 2000; // longest the page waits on pending carves
+let sandWorker = null; // live render worker state while worker rendering is on
+
+// Runs inside the worker; only touches the globals declared in its source
+function sandWorkerMain() {
+  let layerCtx = null;
+  let image = null;
+  const fields = { w: 0, h: 0, pxScale: 1 };
+
+  let carveDone = null;
+
+  const applyPatches = (patches) => {
+    for (const patch of patches) {
+      if (patch.shared) {
+        fields[patch.name] = patch.shared;
+        continue;
+      }
+      const dst = fields[patch.name];
+      const rw = patch.x1 - patch.x0 + 1;
+      for (let y = patch.y0; y <= patch.y1; y++) {
+        const row = (y - patch.y0) * rw;
+        dst.set(patch.data.subarray(row, row + rw), y * fields.w + patch.x0);
+      }
+    }
+  };
+
+  self.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === 'init') {
+      layerCtx = msg.canvas.getContext('2d');
+      carveDone = msg.carveDone;
+      return;
+    }
+    if (msg.type === 'resize') {
+      layerCtx.canvas.width = msg.w;
+      layerCtx.canvas.height = msg.h;
+      image = layerCtx.createImageData(msg.w, msg.h);
+      fields.w = msg.w;
+      fields.h = msg.h;
+      for (const name of msg.fields) {
+        fields[name] = name === 'quote' ? new Uint8Array(msg.w * msg.h) : new Float32Array(msg.w * msg.h);
+      }
+      return;
+    }
+    if (msg.type === 'carve') {
+      applyPatches(msg.patches);
+      W = fields.w;
+      H = fields.h;
+      sandHeight = fields.height;
+      sandR = fields.r;
+      sandG = fields.g;
+      sandB = fields.b;
+      Object.assign(cached, msg.cached);
+      ({ diggingMode, slimeMode } = msg.modes);
+      carveShape = msg.shape;
+      pixelRatio = msg.pxScale;
+      trackFade = msg.trackFade;
+      partCount = msg.partCount;
+      rebuildGaussKernel();
+      const s = msg.stamps;
+      for (let i = 0; i < s.length; i += 6) carveTine(s[i], s[i + 1], s[i + 2], s[i + 3], s[i + 4], s[i + 5]);
+      Atomics.store(carveDone, 0, msg.serial);
+      self.postMessage({ type: 'carve-done', touched: touchedPixels.splice(0), particles: newParticles.splice(0) });
+      return;
+    }
+    if (msg.type !== 'frame') return;
+    Object.assign(cached, msg.cached);
+    Object.assign(sunLight, msg.sunLight);
+    ({ diggingMode, slimeMode, shadowsEnabled, aoEnabled } = msg.modes);
+    applyPatches(msg.patches);
+    fields.pxScale = msg.pxScale;
+    fields.normD = cached.normD;
+    fields.invNormD2 = 1 / (cached.normD * 2);
+    const frameFields = {
+      ...fields,
+      quote: msg.modes.quoteOn ? fields.quote : null,
+      slime: msg.modes.slimeOn ? fields.slime : null
+    };
+    for (const [x0, y0, x1, y1] of msg.rects) {
+      shadeSandRegion(image.data, frameFields, x0, y0, x1, y1);
+      layerCtx.putImageData(image, 0, 0, x0, y0, x1 - x0 + 1, y1 - y0 + 1);
+    }
+    self.postMessage({ type: 'frame-done' });
+  };
+}
+
+function buildSandWorkerSource() {
+  return [
+    ...Object.entries(SAND_WORKER_CONSTANTS).map(([name, value]) => `const ${name} = ${value};`),
+    'const cached = {};',
+    'const sunLight = {};',
+    'let diggingMode = false, slimeMode = false, shadowsEnabled = false, aoEnabled = false;',
+    ...SAND_WORKER_CARVE_GLOBALS,
+    `const TINE_SHAPES = { ${Object.values(TINE_SHAPES).join(', ')} };`,
+    ...[isChallengeMode, getSerrationRaise, rebuildTineProfile, rebuildGaussKernel, carveTine, spawnParticles].map(String),
+    getShadowRay.toString(),
+    shadeSandRegion.toString(),
+    sandWorkerMain.toString(),
+    'sandWorkerMain();'
+  ].join('\n');
+}
+
+function isWorkerRenderingSupported() {
+  return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+    typeof canvas.transferControlToOffscreen === 'function';
+}
+
+function createSandWorker() {
+  const layer = document.createElement('canvas');
+  const url = URL.createObjectURL(new Blob([buildSandWorkerSource()], { type: 'text/javascript' }));
+  const worker = new Worker(url);
+  URL.revokeObjectURL(url);
+  const offscreen = layer.transferControlToOffscreen();
+  // Serial of the last carve batch the worker finished; only with shared fields
+  const carveDone = SHARED_SAND_FIELDS ? new Int32Array(new SharedArrayBuffer(4)) : null;
+  worker.postMessage({ type: 'init', canvas: offscreen, carveDone }, [offscreen]);
+
+  const state = {
+    worker, canvas: layer, busy: false, sources: {}, noiseSeed: null, w: 0, h: 0,
+    carveDone, carvePosted: 0, stamps: []
+  };
+  worker.onmessage = (e) => {
+    if (sandWorker !== state) return;
+    if (e.data.type === 'carve-done') {
+      for (const idx of e.data.touched) trackFadePixel(idx);
+      for (const p of e.data.particles) addParticle(...p);
+      startParticleLoop();
+      return;
+    }
+    if (e.data.type !== 'frame-done') return;
+    state.busy = false;
+    if (!dirtyEmpty) requestRender();
+  };
+  worker.onerror = (err) => {
+    console.warn('Render worker failed, falling back to the main thread:', err.message);
+    // Nothing more will finish, so don't wait for it
+    state.carveDone = null;
+    setWorkerRendering(false);
+  };
+  return state;
+}
+
+// Live sandbox strokes carve on the worker when the fields are shared. Replay
+// needs each step's sand right away, and the challenge modes score and spread
+// slime over the same cells on the page, so those carve on the page.
+function isSandWorkerCarving() {
+  return !!sandWorker && !!sandWorker.carveDone && !replayState && !isChallengeMode();
+}
+
+// Page half of a worker carve: what carveTine() does before touching pixels,
+// plus the dirty tiles its carve and deposits can reach
+function queueWorkerCarve(x, y, radius, dirX, dirY, depthMul) {
+  const reach = getCarveReach(Math.floor(radius));
+  const ix = Math.round(x);
+  const iy = Math.round(y);
+  autosaveDirty = true;
+  historyTouchRect(ix - reach, iy - reach, ix + reach, iy + reach);
+  markDirty(ix, iy, reach + 1);
+  sandWorker.stamps.push(x, y, radius, dirX, dirY, depthMul);
+}
+
+function resizeSandWorker(state) {
+  if (state.w === W && state.h === H) return;
+  state.worker.postMessage({ type: 'resize', w: W, h: H, fields: SAND_WORKER_FIELDS });
+  state.sources = {};
+  state.noiseSeed = null;
+  state.w = W;
+  state.h = H;
+}
+
+// Sends the queued stamps as one batch, with the settings they were made with
+function postSandWorkerCarves() {
+  const state = sandWorker;
+  if (!state || state.stamps.length === 0) return;
+  resizeSandWorker(state);
+  const patches = [];
+  for (const [name, buf] of [['height', sandHeight], ['r', sandR], ['g', sandG], ['b', sandB]]) {
+    if (state.sources[name] === buf) continue;
+    patches.push({ name, shared: buf });
+    state.sources[name] = buf;
+  }
+  state.worker.postMessage({
+    type: 'carve',
+    serial: ++state.carvePosted,
+    stamps: state.stamps,
+    cached: {
+      depth: cached.depth, rim: cached.rim, blend: cached.blend, fwdD: cached.fwdD,
+      sideD: cached.sideD, spread: cached.spread, particles: cached.particles
+    },
+    modes: { diggingMode, slimeMode },
+    shape: getActiveTineShape(),
+    pxScale: pixelRatio,
+    trackFade: isMarkFadeEnabledForCurrentMode(),
+    partCount,
+    patches
+  });
+  state.stamps = [];
+}
+
+// Blocks until the worker has carved every stamp queued so far. The fields are
+// shared, so afterwards the page can read and write the sand as usual. The
+// page can't Atomics.wait, so this spins; the wait is one batch at most.
+function settleSandWorker() {
+  const state = sandWorker;
+  if (!state || !state.carveDone) return;
+  postSandWorkerCarves();
+  const deadline = performance.now() + SAND_WORKER_SETTLE_MS;
+  while (Atomics.load(state.carveDone, 0) < state.carvePosted) {
+    if (performance.now() > deadline) {
+      console.warn('Render worker is not finishing its strokes, carving on the main thread instead');
+      state.carveDone = null;
+      setWorkerRendering(false);
+      return;
+    }
+  }
+}
+
+// Copy of [x0..x1] x [y0..y1] of a W-wide field, ready to transfer
+function copyFieldRect(buf, x0, y0, x1, y1) {
+  const rw = x1 - x0 + 1;
+  const out = new buf.constructor(rw * (y1 - y0 + 1));
+  for (let y = y0; y <= y1; y++) {
+    const src = y * W + x0;
+    out.set(buf.subarray(src, src + rw), (y - y0) * rw);
+  }
+  return out;
+}
+
+// Main-thread half of a worker frame: the same syncing rules as the GPU path
+function renderSandWorker(rects) {
+  const state = sandWorker;
+  postSandWorkerCarves();
+  resizeSandWorker(state);
+  const slime = slimeMode ? slimeDisplayAmount || slimeAmount : null;
+  const quote = diggingMode ? quotePixels : null;
+  const live = { height: sandHeight, r: sandR, g: sandG, b: sandB, slime, quote };
+  const patches = [];
+  const addPatch = (name, buf, px0, py0, px1, py1) => {
+    patches.push({ name, x0: px0, y0: py0, x1: px1, y1: py1, data: copyFieldRect(buf, px0, py0, px1, py1) });
+    state.sources[name] = buf;
+  };
+  // A shared field is sent once; the worker sees later writes to it directly
+  const isShared = (buf) => typeof SharedArrayBuffer !== 'undefined' && buf.buffer instanceof SharedArrayBuffer;
+  const sync = (name, buf, dirtyRects) => {
+    if (state.sources[name] === buf && isShared(buf)) return;
+    if (state.sources[name] !== buf && isShared(buf)) {
+      patches.push({ name, shared: buf });
+      state.sources[name] = buf;
+    } else if (state.sources[name] !== buf) {
+      addPatch(name, buf, 0, 0, W - 1, H - 1);
+    } else {
+      dirtyRects.forEach((rect) => addPatch(name, buf, ...rect));
+    }
+  };
+  for (const name in live) {
+    if (live[name]) sync(name, live[name], name === 'quote' ? [] : rects);
+  }
+  if (state.noiseSeed !== noiseSeed) {
+    // Regenerated in place, so a shared noise field counts as new
+    delete state.sources.noise;
+    state.noiseSeed = noiseSeed;
+  }
+  sync('noise', noiseMap, []);
+
+  state.busy = true;
+  state.worker.postMessage({
+    type: 'frame',
+    rects,
+    cached: { light: cached.light, noise: cached.noise, normD: cached.normD },
+    sunLight: { ...sunLight },
+    pxScale: pixelRatio,
+    modes: {
+      diggingMode, slimeMode, shadowsEnabled, aoEnabled,
+      quoteOn: !!quote,
+      slimeOn: !!slime
+    },
+    patches
+  }, patches.filter((p) => p.data).map((p) => p.data.buffer));
+}
+
+function setWorkerRendering(enabled) {
+  if (enabled && !sandWorker) {
+    if (!isWorkerRenderingSupported()) {
+      workerToggle.checked = false;
+      workerToggle.disabled = true;
+      workerToggle.closest('.size-controls').title = 'OffscreenCanvas is not available in this browser';
+      return false;
+    }
+    if (gpu) setGpuRendering(false);
+    sandWorker = createSandWorker();
+    attachSandLayer(sandWorker.canvas);
+  } else if (!enabled && sandWorker) {
+    settleSandWorker();
+    if (!sandWorker) return false;
+    sandWorker.worker.terminate();
+    detachSandLayer(sandWorker.canvas);
+    sandWorker = null;
+  }
+  workerToggle.checked = !!sandWorker;
+  ctx.clearRect(0, 0, W, H);
+  markFullDirty();
+  requestRender();
+  return !!sandWorker;
+}
+
+const workerToggle = document.getElementById('workerToggle');
+workerToggle.addEventListener('change', () => {
+  setWorkerRendering(workerToggle.checked);
+  gtag('event', 'worker_rendering_toggle', { enabled: !!sandWorker });
+  saveSettings();
+});
+
 // --- Stroke handling ---
-function strokeTo(x, y) {
+function strokeTo(x, y, perpX, perpY) {
   if (slimeMode && slimeGameOver) return;
   const tineRadius = cached.tineRadius;
+  const tines = getActiveRakeTines(tineRadius);
+  // Step by the finest tine so small tines in a custom head stay continuous
+  let stepRadius = tineRadius;
+  for (const tine of tines) stepRadius = Math.min(stepRadius, tine.radius);
   let stepFrac = cached.step;
-  // Increase step linearly when rake is large with many tines (performance)
+  // Increase step linearly when rake is large with many tines (performance).
+  // Sizes are in CSS pixels so every render quality steps the same.
   const sizeMid = 12; // midpoint of size range 4–20
-  if (tineRadius > sizeMid && cached.tineCount > 4) {
-    const t = (tineRadius - sizeMid) / (20 - sizeMid); // 0 at mid, 1 at max
+  const stepSize = stepRadius / pixelRatio;
+  if (stepSize > sizeMid && tines.length > 4) {
+    const t = Math.min(1, (stepSize - sizeMid) / (20 - sizeMid)); // 0 at mid, 1 at max
     stepFrac = cached.step + (0.55 - cached.step) * t;
   }
   const dx = x - lastX;
@@ -1728,7 +3950,7 @@ function strokeTo(x, y) {
   strokeDX = dx;
   strokeDY = dy;
 
-  let steps = Math.max(1, Math.floor(dist / Math.max(1, tineRadius * stepFrac)));
+  let steps = Math.max(1, Math.floor(dist / Math.max(1, stepRadius * stepFrac)));
   if (slimeMode && steps > SLIME_MAX_STEPS_PER_SEGMENT) {
     steps = SLIME_MAX_STEPS_PER_SEGMENT;
   }
@@ -1738,9 +3960,12 @@ function strokeTo(x, y) {
     const t = i / steps;
     const cx = lastX + dx * t;
     const cy = lastY + dy * t;
-    carveRakeSymmetric(cx, cy, tineRadius, strokeDX, strokeDY);
+    carveRakeSymmetric(cx, cy, tineRadius, strokeDX, strokeDY, perpX, perpY);
   }
   carveTimeAccum += performance.now() - carveStart;
+  // Start the worker on this segment while the page goes on
+  postSandWorkerCarves();
+  recordStrokePoint(x, y);
 
   lastX = x;
   lastY = y;
@@ -1751,16 +3976,18 @@ function markCursorDirty() {
   if (!onCanvas) return;
   const tineRadius = cached.tineRadius;
   const offsets = getActiveRakeOffsets(tineRadius);
+  const tines = getActiveRakeTines(tineRadius);
   const [px, py] = getPerpAt(rakeHeadX, rakeHeadY);
+  // Margins match the outline widths, which scale with the render quality
 
   function markTinesAt(cx, cy, cpx, cpy) {
     if (isSolidRakeActive()) {
       const halfWidth = getOffsetsHalfWidth(offsets, tineRadius);
-      markDirty(cx, cy, halfWidth + tineRadius + 2);
+      markDirty(cx, cy, halfWidth + tineRadius + 2 * pixelRatio);
       return;
     }
-    for (const offset of offsets) {
-      markDirty(cx + cpx * offset, cy + cpy * offset, tineRadius + 2);
+    for (const tine of tines) {
+      markDirty(cx + cpx * tine.offset, cy + cpy * tine.offset, tine.radius + 2 * pixelRatio);
     }
   }
 
@@ -1768,21 +3995,21 @@ function markCursorDirty() {
   markTinesAt(rakeHeadX, rakeHeadY, px, py);
   if (!isChallengeMode()) {
     // Mark grip (cursor) position dirty
-    markDirty(mouseX, mouseY, 5);
+    markDirty(mouseX, mouseY, 5 * pixelRatio);
     // Mark handle line between grip and rake head
     markDirty((mouseX + rakeHeadX) / 2, (mouseY + rakeHeadY) / 2,
-      Math.max(Math.abs(mouseX - rakeHeadX), Math.abs(mouseY - rakeHeadY)) / 2 + 4);
+      Math.max(Math.abs(mouseX - rakeHeadX), Math.abs(mouseY - rakeHeadY)) / 2 + 4 * pixelRatio);
   }
 
-  if (mirrorV || mirrorH || mirrorD) {
+  if (hasSymmetry()) {
     const pts = getSymmetryPoints(rakeHeadX, rakeHeadY, 0, 0, px, py);
     const gripPts = getSymmetryPoints(mouseX, mouseY, 0, 0, px, py);
     for (let i = 1; i < pts.length; i++) {
       markTinesAt(pts[i].x, pts[i].y, pts[i].perpX, pts[i].perpY);
       if (!isChallengeMode() && i < gripPts.length) {
-        markDirty(gripPts[i].x, gripPts[i].y, 5);
+        markDirty(gripPts[i].x, gripPts[i].y, 5 * pixelRatio);
         markDirty((gripPts[i].x + pts[i].x) / 2, (gripPts[i].y + pts[i].y) / 2,
-          Math.max(Math.abs(gripPts[i].x - pts[i].x), Math.abs(gripPts[i].y - pts[i].y)) / 2 + 4);
+          Math.max(Math.abs(gripPts[i].x - pts[i].x), Math.abs(gripPts[i].y - pts[i].y)) / 2 + 4 * pixelRatio);
       }
     }
   }
@@ -1815,6 +4042,8 @@ function onDocMouseMove(e) {
 
 function onDocMouseUp() {
   drawing = false;
+  endStrokeRecord();
+  closeHistoryEntry();
   document.removeEventListener('mousemove', onDocMouseMove);
   document.removeEventListener('mouseup', onDocMouseUp);
   tlScheduleIdlePause();
@@ -1823,7 +4052,7 @@ function onDocMouseUp() {
 canvas.addEventListener('mousedown', (e) => {
   if (e.target !== canvas) return;
   if (introPlaying) { abortIntro(); return; }
-  if (slimeMode && slimeGameOver) return;
+  if (replayState || (slimeMode && slimeGameOver)) return;
   gtag('event', 'stroke_start', { input: 'mouse' });
   if (!isChallengeMode()) saveState(); // Save state before stroke
   drawing = true;
@@ -1838,6 +4067,7 @@ canvas.addEventListener('mousedown', (e) => {
   const carveStart = performance.now();
   carveRakeSymmetric(rakeHeadX, rakeHeadY, cached.tineRadius, 0, 0);
   carveTimeAccum += performance.now() - carveStart;
+  beginStrokeRecord('mouse', rakeHeadX, rakeHeadY, true);
   requestRender();
   // Track mouse at document level so stroke continues outside canvas
   document.addEventListener('mousemove', onDocMouseMove);
@@ -1897,7 +4127,7 @@ canvas.addEventListener('touchstart', (e) => {
   if (e.target !== canvas) return;
   e.preventDefault();
   if (introPlaying) { abortIntro(); return; }
-  if (slimeMode && slimeGameOver) return;
+  if (replayState || (slimeMode && slimeGameOver)) return;
   gtag('event', 'stroke_start', { input: 'touch' });
   if (!isChallengeMode()) saveState(); // Save state before stroke
   drawing = true;
@@ -1913,6 +4143,7 @@ canvas.addEventListener('touchstart', (e) => {
   const carveStart = performance.now();
   carveRakeSymmetric(rakeHeadX, rakeHeadY, cached.tineRadius, 0, 0);
   carveTimeAccum += performance.now() - carveStart;
+  beginStrokeRecord('touch', rakeHeadX, rakeHeadY, true);
   requestRender();
 });
 
@@ -1933,6 +4164,8 @@ canvas.addEventListener('touchend', (e) => {
   e.preventDefault();
   markCursorDirty();
   drawing = false;
+  endStrokeRecord();
+  closeHistoryEntry();
   tlScheduleIdlePause();
   onCanvas = false;
   requestRender();
@@ -2031,12 +4264,12 @@ function updateSlimePill() {
 
 function ensureSlimeBuffer() {
   if (!slimeAmount || slimeAmount.length !== totalPixels) {
-    slimeAmount = new Float32Array(totalPixels);
+    slimeAmount = createSandField(totalPixels);
   } else {
     slimeAmount.fill(0);
   }
   if (!slimeDisplayAmount || slimeDisplayAmount.length !== totalPixels) {
-    slimeDisplayAmount = new Float32Array(totalPixels);
+    slimeDisplayAmount = createSandField(totalPixels);
   } else {
     slimeDisplayAmount.fill(0);
   }
@@ -2091,8 +4324,8 @@ function isSlimeSpawnAreaClear(cx, cy, radius) {
 function trySpawnSlimePatch(radius, strength, attempts = SLIME_SPAWN_RETRY_ATTEMPTS) {
   if (!slimeAmount) return null;
   for (let attempt = 0; attempt < attempts; attempt++) {
-    const cx = Math.random() * (W - 1);
-    const cy = Math.random() * (H - 1);
+    const cx = slimeRandom() * (W - 1);
+    const cy = slimeRandom() * (H - 1);
     if (!isSlimeSpawnAreaClear(cx, cy, radius)) continue;
     const addedMass = addSlimePatch(cx, cy, radius, strength);
     return { cx, cy, radius, addedMass };
@@ -2139,18 +4372,18 @@ function spawnEscalationSlime(elapsedMs) {
   if (!slimeAmount || !slimeDisplayAmount) return;
   const minDim = Math.min(W, H);
   const elapsedSec = elapsedMs / 1000;
-  const extraPatches = (elapsedSec > 5 && Math.random() < 0.75 ? 1 : 0) +
-    (elapsedSec > 16 && Math.random() < 0.65 ? 1 : 0) +
-    (elapsedSec > 35 && Math.random() < 0.5 ? 1 : 0) +
-    (elapsedSec > 80 && Math.random() < 0.35 ? 1 : 0);
+  const extraPatches = (elapsedSec > 5 && slimeRandom() < 0.75 ? 1 : 0) +
+    (elapsedSec > 16 && slimeRandom() < 0.65 ? 1 : 0) +
+    (elapsedSec > 35 && slimeRandom() < 0.5 ? 1 : 0) +
+    (elapsedSec > 80 && slimeRandom() < 0.35 ? 1 : 0);
   const patchCount = 3 + extraPatches;
   let addedMass = 0;
   let minX = W, minY = H, maxX = -1, maxY = -1;
   const sizeGrowth = Math.min(0.18, elapsedSec / 220);
 
   for (let i = 0; i < patchCount; i++) {
-    const radius = minDim * (0.045 + Math.random() * 0.065 + sizeGrowth);
-    const strength = Math.min(1, 0.78 + Math.random() * 0.28 + Math.min(0.4, elapsedSec / 80));
+    const radius = minDim * (0.045 + slimeRandom() * 0.065 + sizeGrowth);
+    const strength = Math.min(1, 0.78 + slimeRandom() * 0.28 + Math.min(0.4, elapsedSec / 80));
     const patch = trySpawnSlimePatch(radius, strength);
     if (!patch || patch.addedMass <= 0) continue;
     addedMass += patch.addedMass;
@@ -2217,8 +4450,8 @@ function spawnSlimeRound() {
   const patchCount = isMobile ? 5 : 7;
 
   for (let i = 0; i < patchCount; i++) {
-    const radius = minDim * (0.06 + Math.random() * 0.08);
-    const strength = 0.78 + Math.random() * 0.22;
+    const radius = minDim * (0.06 + slimeRandom() * 0.08);
+    const strength = 0.78 + slimeRandom() * 0.22;
     const patch = trySpawnSlimePatch(radius, strength, SLIME_SPAWN_RETRY_ATTEMPTS + 8);
     if (!patch) continue;
   }
@@ -2255,7 +4488,7 @@ function applySliderValues(values) {
     const { el, labelEl } = entry;
     el.value = values[key];
     const def = SLIDER_CONFIG.find(c => c.key === key);
-    cached[key] = def.parse(el.value) * getScale(key);
+    cached[key] = scaleSliderValue(key, def.parse(el.value));
     if (labelEl) labelEl.textContent = el.value;
   }
   tineProfileR = -1;
@@ -2356,44 +4589,7 @@ function getQuoteRevealRatio() {
 }
 
 function captureCoreShareBlob() {
-  return new Promise((resolve, reject) => {
-    const shareCanvas = document.createElement('canvas');
-    const shareW = canvas.width;
-    const shareH = canvas.height;
-    const barH = Math.max(32, Math.round(shareH * 0.12));
-    shareCanvas.width = shareW;
-    shareCanvas.height = shareH + barH;
-    const shareCtx = shareCanvas.getContext('2d');
-    if (!shareCtx) {
-      reject(new Error('Share canvas context unavailable'));
-      return;
-    }
-
-    // Main garden image.
-    shareCtx.drawImage(canvas, 0, 0);
-
-    // Watermark bar at bottom.
-    const barY = shareH;
-    shareCtx.save();
-    shareCtx.fillStyle = '#1a1a1a';
-    shareCtx.fillRect(0, barY, shareW, barH);
-    shareCtx.fillStyle = 'rgba(90, 74, 53, 0.25)';
-    shareCtx.fillRect(0, barY, shareW, 1);
-    const fontSize = Math.max(14, Math.round(barH * 0.5));
-    shareCtx.font = `300 ${fontSize}px "Segoe UI", system-ui, sans-serif`;
-    shareCtx.fillStyle = 'rgba(220, 195, 155, 0.95)';
-    shareCtx.textAlign = 'center';
-    shareCtx.textBaseline = 'middle';
-    shareCtx.shadowColor = 'rgba(0, 0, 0, 0.4)';
-    shareCtx.shadowBlur = 3;
-    shareCtx.fillText('silentsand.me', shareW / 2, barY + barH / 2);
-    shareCtx.restore();
-
-    shareCanvas.toBlob((blob) => {
-      if (blob) resolve(blob);
-      else reject(new Error('Canvas snapshot failed'));
-    }, 'image/png');
-  });
+  return renderStillBlob({ format: 'png', scale: 1, watermark: 'bar', watermarkText: 'silentsand.me', frame: 'none' });
 }
 
 function getCoreShareLinkUrl() {
@@ -2833,11 +5029,10 @@ function enterDiggingMode() {
   stopMarkFadeTicker();
   clearMarkFadeTracking();
   resetCoreShareState();
-  savedGardenState = getCurrentState();
+  savedGardenState = { ...getCurrentState(), noiseSeed };
   savedRakeAngle = rakeAngle;
   rakeAngle = Math.PI / 4; // Default core orientation: 45 degrees
-  undoStack.length = 0;
-  redoStack.length = 0;
+  clearHistory();
   updateHistoryBtns();
 
   // Save current rake settings and apply fixed dig settings
@@ -2860,6 +5055,9 @@ function enterDiggingMode() {
   slimeDesc.style.display = 'none';
   if (isMobile) leaderboardPanel.style.display = '';
 
+  if (savedCoreState && savedCoreState.sandHeight && (savedCoreState.w !== W || savedCoreState.h !== H)) {
+    savedCoreState = resampleCoreState(savedCoreState);
+  }
   const canRestoreCoreState = !!(
     savedCoreState &&
     savedCoreState.w === W &&
@@ -2923,9 +5121,19 @@ function enterDiggingMode() {
   requestRender();
 }
 
-function exitDiggingMode() {
-  resetCoreShareState();
-  savedCoreState = {
+// Bring a core snapshot from another garden size onto the current one
+function resampleCoreState(state) {
+  const mode = resampleModeSelect.value;
+  const resampled = resampleGarden(state, W, H, mode, 2.0);
+  if (state.quotePixels) {
+    resampled.quotePixels = resampleField(state.quotePixels, state.w, state.h, W, H, mode, 0);
+  }
+  return resampled;
+}
+
+// Snapshot of the live core session (also used by autosave)
+function captureCoreSessionState() {
+  return {
     w: W,
     h: H,
     sandHeight: new Float32Array(sandHeight),
@@ -2936,11 +5144,17 @@ function exitDiggingMode() {
     reachedBottom,
     quotePixels: quotePixels ? new Uint8Array(quotePixels) : null
   };
+}
+
+function exitDiggingMode() {
+  resetCoreShareState();
+  savedCoreState = captureCoreSessionState();
   if (savedGardenState) {
     sandHeight.set(savedGardenState.h);
     sandR.set(savedGardenState.r);
     sandG.set(savedGardenState.g);
     sandB.set(savedGardenState.b);
+    generateNoiseMap(savedGardenState.noiseSeed);
     savedGardenState = null;
   }
   quotePixels = null;
@@ -2951,8 +5165,7 @@ function exitDiggingMode() {
   leaderboardHint.style.display = 'none';
   leaderboardSubmit.style.display = 'none';
   // Clear undo/redo from digging session
-  undoStack.length = 0;
-  redoStack.length = 0;
+  clearHistory();
   updateHistoryBtns();
 
   // Restore rake settings and re-enable sliders
@@ -2990,11 +5203,10 @@ function enterSlimeMode() {
   stopMarkFadeTicker();
   clearMarkFadeTracking();
   resetCoreShareState();
-  savedGardenState = getCurrentState();
+  savedGardenState = { ...getCurrentState(), noiseSeed };
   savedRakeAngle = rakeAngle;
   rakeAngle = Math.PI / 2;
-  undoStack.length = 0;
-  redoStack.length = 0;
+  clearHistory();
   updateHistoryBtns();
 
   savedRakeSettings = {};
@@ -3010,17 +5222,22 @@ function enterSlimeMode() {
     mirrorV,
     mirrorH,
     mirrorD,
+    symmetryOrder,
+    symmetryReflect,
     alignCenter,
     solidRakeMode
   };
   mirrorV = false;
   mirrorH = false;
   mirrorD = false;
+  symmetryOrder = 1;
+  symmetryReflect = false;
   alignCenter = false;
   solidRakeMode = false;
   mirrorVBtn.classList.remove('active');
   mirrorHBtn.classList.remove('active');
   mirrorDBtn.classList.remove('active');
+  updateRotationControls();
   alignCenterToggle.checked = false;
   solidRakeToggle.checked = false;
   updateSymmetryLines();
@@ -3032,6 +5249,10 @@ function enterSlimeMode() {
   leaderboardPanel.style.display = 'none';
   depthPill.classList.add('slime');
 
+  if (savedSlimeState && savedSlimeState.sandHeight && savedSlimeState.slimeAmount &&
+      (savedSlimeState.w !== W || savedSlimeState.h !== H)) {
+    savedSlimeState = resampleSlimeState(savedSlimeState);
+  }
   const canRestoreSlimeState = !!(
     savedSlimeState &&
     !savedSlimeState.slimeGameOver &&
@@ -3062,9 +5283,11 @@ function enterSlimeMode() {
     restoredNextSpawnInMs = savedSlimeState.nextSpawnInMs ?? null;
   } else {
     if (savedSlimeState) savedSlimeState = null;
+    slimeSeed = randomSeed();
+    slimeRandom = createRng(slimeSeed);
     initSand();
     for (let i = 0; i < totalPixels; i++) {
-      sandHeight[i] += (Math.random() - 0.5) * 0.18;
+      sandHeight[i] += (slimeRandom() - 0.5) * 0.18;
       sandHeight[i] = Math.max(0.2, Math.min(1.5, sandHeight[i]));
     }
     generateNoiseMap();
@@ -3100,19 +5323,27 @@ function enterSlimeMode() {
   requestRender();
 }
 
-function exitSlimeMode() {
-  const now = Date.now();
-  if (!slimeGameOver && slimeMode) {
-    slimeSurvivalMs = Math.max(0, now - slimeStartMs);
-  }
-  gtag('event', 'slime_session_end', {
-    result: slimeGameOver ? 'game_over' : 'exit',
-    survival_sec: Math.floor(slimeSurvivalMs / 1000),
-    threat_pct: Number(getSlimeThreatPct().toFixed(1)),
-    critical_pct: Math.round(SLIME_CRITICAL_MASS_RATIO * 100)
-  });
-  const nextSpawnInMs = slimeGameOver ? 0 : Math.max(0, slimeNextSpawnAtMs - now);
-  savedSlimeState = {
+// Bring a slime snapshot from another garden size onto the current one.
+// Slime masses are rescaled so the threat level carries over.
+function resampleSlimeState(state) {
+  const mode = resampleModeSelect.value;
+  const resampled = resampleGarden(state, W, H, mode);
+  resampled.slimeAmount = resampleField(state.slimeAmount, state.w, state.h, W, H, mode, 0);
+  resampled.slimeDisplayAmount = state.slimeDisplayAmount
+    ? resampleField(state.slimeDisplayAmount, state.w, state.h, W, H, mode, 0)
+    : null;
+  let mass = 0;
+  for (let i = 0; i < resampled.slimeAmount.length; i++) mass += resampled.slimeAmount[i];
+  const ratio = state.slimeRemainingMass > 0 ? mass / state.slimeRemainingMass : (W * H) / (state.w * state.h);
+  resampled.slimeRemainingMass = mass;
+  resampled.slimeInitialMass = state.slimeInitialMass * ratio;
+  return resampled;
+}
+
+// Snapshot of the live slime session (also used by autosave)
+function captureSlimeSessionState(now = Date.now()) {
+  const survivalMs = slimeMode && !slimeGameOver ? Math.max(0, now - slimeStartMs) : slimeSurvivalMs;
+  return {
     w: W,
     h: H,
     sandHeight: new Float32Array(sandHeight),
@@ -3125,15 +5356,30 @@ function exitSlimeMode() {
     slimeRemainingMass,
     slimeCriticalMass,
     slimeGameOver,
-    slimeSurvivalMs,
-    nextSpawnInMs
+    slimeSurvivalMs: survivalMs,
+    nextSpawnInMs: slimeGameOver ? 0 : Math.max(0, slimeNextSpawnAtMs - now)
   };
+}
+
+function exitSlimeMode() {
+  const now = Date.now();
+  if (!slimeGameOver && slimeMode) {
+    slimeSurvivalMs = Math.max(0, now - slimeStartMs);
+  }
+  gtag('event', 'slime_session_end', {
+    result: slimeGameOver ? 'game_over' : 'exit',
+    survival_sec: Math.floor(slimeSurvivalMs / 1000),
+    threat_pct: Number(getSlimeThreatPct().toFixed(1)),
+    critical_pct: Math.round(SLIME_CRITICAL_MASS_RATIO * 100)
+  });
+  savedSlimeState = captureSlimeSessionState(now);
   stopSlimeTicking();
   if (savedGardenState) {
     sandHeight.set(savedGardenState.h);
     sandR.set(savedGardenState.r);
     sandG.set(savedGardenState.g);
     sandB.set(savedGardenState.b);
+    generateNoiseMap(savedGardenState.noiseSeed);
     savedGardenState = null;
   }
 
@@ -3142,8 +5388,7 @@ function exitSlimeMode() {
   depthPill.classList.remove('slime');
   setSlimeStatusMessage('Infestation detected');
   if (slimeTimer) slimeTimer.textContent = 'Survived 00:00';
-  undoStack.length = 0;
-  redoStack.length = 0;
+  clearHistory();
   updateHistoryBtns();
 
   if (savedRakeSettings) {
@@ -3158,12 +5403,15 @@ function exitSlimeMode() {
     mirrorV = savedSlimeToolState.mirrorV;
     mirrorH = savedSlimeToolState.mirrorH;
     mirrorD = savedSlimeToolState.mirrorD;
+    symmetryOrder = savedSlimeToolState.symmetryOrder;
+    symmetryReflect = savedSlimeToolState.symmetryReflect;
     alignCenter = savedSlimeToolState.alignCenter;
     solidRakeMode = savedSlimeToolState.solidRakeMode;
     savedSlimeToolState = null;
     mirrorVBtn.classList.toggle('active', mirrorV);
     mirrorHBtn.classList.toggle('active', mirrorH);
     mirrorDBtn.classList.toggle('active', mirrorD);
+    updateRotationControls();
     alignCenterToggle.checked = alignCenter;
     solidRakeToggle.checked = solidRakeMode;
     updateSymmetryLines();
@@ -3239,6 +5487,8 @@ if (isMobile) {
 
 // --- Mode Selector ---
 function switchMode(mode) {
+  stopReplay();
+  autosaveDirty = true;
   if (mode === 'core') {
     if (slimeMode) exitSlimeMode();
     if (!diggingMode) {
@@ -3342,6 +5592,18 @@ function applyGuideBW() {
   img.src = guideOriginalSrc;
 }
 
+// Swap the guide image wholesale (empty src removes it)
+function setGuideImage(src) {
+  guideOriginalSrc = src;
+  if (!src) {
+    guideOverlay.removeAttribute('src');
+  } else if (guideBW.checked) {
+    applyGuideBW();
+  } else {
+    guideOverlay.src = src;
+  }
+}
+
 guideBW.addEventListener('change', () => {
   guideThresholdGroup.style.display = guideBW.checked ? 'flex' : 'none';
   if (guideBW.checked) {
@@ -3386,6 +5648,7 @@ tabBtns.forEach(btn => {
     tabContents.forEach(c => c.classList.remove('active'));
     btn.classList.add('active');
     document.getElementById(btn.dataset.tab).classList.add('active');
+    if (btn.dataset.tab === 'tab-history') refreshHistoryPanel();
     gtag('event', 'tab_switch', { tab: btn.dataset.tab.replace('tab-', '') });
   });
 });
@@ -3400,34 +5663,170 @@ const symH = document.getElementById('symH');
 const symD1 = document.getElementById('symD1');
 const symD2 = document.getElementById('symD2');
 const symCenter = document.getElementById('symCenter');
+const symRotation = document.getElementById('symRotation');
+const symmetryOrderSelect = document.getElementById('symmetryOrderSelect');
+const symmetryReflectBtn = document.getElementById('symmetryReflectBtn');
+
+// Guide coordinates are percentages so they follow the canvas's CSS size
+function setSymmetryLine(line, x1, y1, x2, y2) {
+  const pct = (v, size) => `${((v / size) * 100).toFixed(3)}%`;
+  line.setAttribute('x1', pct(x1, W));
+  line.setAttribute('y1', pct(y1, H));
+  line.setAttribute('x2', pct(x2, W));
+  line.setAttribute('y2', pct(y2, H));
+}
 
 function updateSymmetryLines() {
-  const any = mirrorV || mirrorH || mirrorD || alignCenter;
+  const any = hasSymmetry() || alignCenter;
   symmetryLines.style.display = any ? '' : 'none';
   symV.style.display = mirrorV ? '' : 'none';
   symH.style.display = mirrorH ? '' : 'none';
   symD1.style.display = mirrorD ? '' : 'none';
   symD2.style.display = mirrorD ? '' : 'none';
   symCenter.style.display = (any) ? '' : 'none';
-}
-
-mirrorVBtn.addEventListener('click', () => {
-  mirrorV = !mirrorV;
-  gtag('event', 'mirror_toggle', { axis: 'vertical', enabled: mirrorV });
-  mirrorVBtn.classList.toggle('active', mirrorV);
+  symRotation.replaceChildren();
+  // Settings load before the garden is sized; init draws them again
+  if (!W) return;
+
+  const f = getSymmetryFrame();
+  const reach = W + H;
+  const through = (line, ux, uy) => setSymmetryLine(line, f.cx - ux * reach, f.cy - uy * reach, f.cx + ux * reach, f.cy + uy * reach);
+  through(symV, f.vx, f.vy);
+  through(symH, f.hx, f.hy);
+  // Corner to corner in the turned frame, matching swapSymmetryDiagonal
+  const d = Math.hypot(W, H);
+  through(symD1, (f.hx * W + f.vx * H) / d, (f.hy * W + f.vy * H) / d);
+  through(symD2, (f.hx * W - f.vx * H) / d, (f.hy * W - f.vy * H) / d);
+  symCenter.setAttribute('cx', `${symmetryCenter.x * 100}%`);
+  symCenter.setAttribute('cy', `${symmetryCenter.y * 100}%`);
+
+  // Rotation draws a ray per copy from the centre, starting up the V axis;
+  // with reflection each copy boundary is a full mirror axis instead
+  const order = getSymmetryOrder();
+  if (order < 2) return;
+  const start = Math.atan2(-f.vy, -f.vx);
+  const step = (symmetryReflect ? Math.PI : 2 * Math.PI) / order;
+  for (let k = 0; k < order; k++) {
+    const a = start + step * k;
+    const dx = Math.cos(a) * reach, dy = Math.sin(a) * reach;
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    line.setAttribute('class', 'sym-line');
+    setSymmetryLine(line, symmetryReflect ? f.cx - dx : f.cx, symmetryReflect ? f.cy - dy : f.cy, f.cx + dx, f.cy + dy);
+    symRotation.appendChild(line);
+  }
+}
+
+function updateRotationControls() {
+  for (const option of symmetryOrderSelect.options) {
+    option.disabled = clampSymmetryOrder(Number(option.value), symmetryReflect) !== Number(option.value);
+  }
+  symmetryOrderSelect.value = String(getSymmetryOrder());
+  symmetryReflectBtn.classList.toggle('active', symmetryReflect);
+  symmetryReflectBtn.disabled = symmetryOrder < 2;
+}
+
+function setSymmetryOrder(order, reflect) {
+  symmetryReflect = !!reflect;
+  symmetryOrder = snapSymmetryOrder(order);
+  updateRotationControls();
   updateSymmetryLines();
   markCursorDirty();
   requestRender();
+}
+
+symmetryOrderSelect.addEventListener('change', () => {
+  setSymmetryOrder(parseInt(symmetryOrderSelect.value, 10), symmetryReflect);
+  gtag('event', 'rotation_symmetry', { order: symmetryOrder, reflect: symmetryReflect });
   saveSettings();
 });
 
-mirrorHBtn.addEventListener('click', () => {
-  mirrorH = !mirrorH;
-  gtag('event', 'mirror_toggle', { axis: 'horizontal', enabled: mirrorH });
-  mirrorHBtn.classList.toggle('active', mirrorH);
+symmetryReflectBtn.addEventListener('click', () => {
+  setSymmetryOrder(symmetryOrder, !symmetryReflect);
+  gtag('event', 'rotation_symmetry', { order: symmetryOrder, reflect: symmetryReflect });
+  saveSettings();
+});
+
+// --- Symmetry centre and axis ---
+// The centre dot in the guide overlay can be dragged anywhere on the garden
+// (double-click puts it back in the middle); the Axis slider turns the mirror
+// axes and the rotation start around it.
+const symmetryAxisSlider = document.getElementById('symmetryAxisSlider');
+const symmetryAxisLabel = document.getElementById('symmetryAxisLabel');
+
+function setSymmetryCenter(x, y) {
+  markCursorDirty();
+  symmetryCenter = toSymmetryCenter({ x, y });
+  updateSymmetryLines();
+  markCursorDirty();
+  requestRender();
+}
+
+function setSymmetryAxis(degrees) {
+  markCursorDirty();
+  symmetryAxis = ((Math.round(degrees) % 180) + 180) % 180 || 0;
+  symmetryAxisSlider.value = symmetryAxis;
+  symmetryAxisLabel.textContent = symmetryAxis + '°';
   updateSymmetryLines();
   markCursorDirty();
   requestRender();
+}
+
+function moveSymmetryCenterTo(e) {
+  const point = e.touches ? e.touches[0] : e;
+  const rect = canvas.getBoundingClientRect();
+  setSymmetryCenter((point.clientX - rect.left) / rect.width, (point.clientY - rect.top) / rect.height);
+}
+
+function onSymmetryCenterDrag(e) {
+  if (e.cancelable) e.preventDefault();
+  moveSymmetryCenterTo(e);
+}
+
+function onSymmetryCenterDrop() {
+  document.removeEventListener('mousemove', onSymmetryCenterDrag);
+  document.removeEventListener('mouseup', onSymmetryCenterDrop);
+  document.removeEventListener('touchmove', onSymmetryCenterDrag);
+  document.removeEventListener('touchend', onSymmetryCenterDrop);
+  gtag('event', 'symmetry_center_move', { x: Math.round(symmetryCenter.x * 100), y: Math.round(symmetryCenter.y * 100) });
+  saveSettings();
+}
+
+function onSymmetryCenterGrab(e) {
+  if (replayState) return;
+  e.preventDefault();
+  e.stopPropagation();
+  document.addEventListener('mousemove', onSymmetryCenterDrag);
+  document.addEventListener('mouseup', onSymmetryCenterDrop);
+  document.addEventListener('touchmove', onSymmetryCenterDrag, { passive: false });
+  document.addEventListener('touchend', onSymmetryCenterDrop);
+}
+
+symCenter.addEventListener('mousedown', onSymmetryCenterGrab);
+symCenter.addEventListener('touchstart', onSymmetryCenterGrab, { passive: false });
+symCenter.addEventListener('dblclick', () => {
+  setSymmetryCenter(0.5, 0.5);
+  saveSettings();
+});
+
+symmetryAxisSlider.addEventListener('input', () => {
+  setSymmetryAxis(parseInt(symmetryAxisSlider.value, 10));
+});
+
+mirrorVBtn.addEventListener('click', () => {
+  mirrorV = !mirrorV;
+  gtag('event', 'mirror_toggle', { axis: 'vertical', enabled: mirrorV });
+  mirrorVBtn.classList.toggle('active', mirrorV);
+  // Refits the rotation in effect to the copy budget and redraws the guides
+  setSymmetryOrder(symmetryOrder, symmetryReflect);
+  saveSettings();
+});
+
+mirrorHBtn.addEventListener('click', () => {
+  mirrorH = !mirrorH;
+  gtag('event', 'mirror_toggle', { axis: 'horizontal', enabled: mirrorH });
+  mirrorHBtn.classList.toggle('active', mirrorH);
+  // Refits the rotation in effect to the copy budget and redraws the guides
+  setSymmetryOrder(symmetryOrder, symmetryReflect);
   saveSettings();
 });
 
@@ -3435,9 +5834,8 @@ mirrorDBtn.addEventListener('click', () => {
   mirrorD = !mirrorD;
   gtag('event', 'mirror_toggle', { axis: 'diagonal', enabled: mirrorD });
   mirrorDBtn.classList.toggle('active', mirrorD);
-  updateSymmetryLines();
-  markCursorDirty();
-  requestRender();
+  // Refits the rotation in effect to the copy budget and redraws the guides
+  setSymmetryOrder(symmetryOrder, symmetryReflect);
   saveSettings();
 });
 
@@ -3461,6 +5859,226 @@ solidRakeToggle.addEventListener('change', () => {
   saveSettings();
 });
 
+// --- Rake head designer ---
+// Named heads live in their own localStorage entry so Reset Settings keeps
+// them. The head in use is part of the tool setup and travels with saves.
+const RAKE_HEADS_KEY = 'zenGardenRakeHeads';
+const rakeHeadSelect = document.getElementById('rakeHeadSelect');
+const rakeHeadModal = document.getElementById('rakeHeadModal');
+const rakeHeadPreview = document.getElementById('rakeHeadPreview');
+const rakeHeadName = document.getElementById('rakeHeadName');
+const rakeHeadTineList = document.getElementById('rakeHeadTineList');
+const rakeHeadStatus = document.getElementById('rakeHeadStatus');
+let rakeHeads = loadRakeHeads();
+let rakeHeadDraft = null; // { name, tines } open in the designer
+
+function loadRakeHeads() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RAKE_HEADS_KEY));
+    if (Array.isArray(saved)) return saved.map(normalizeRakeHead).filter(Boolean);
+  } catch (e) {
+    console.warn('Failed to load rake heads', e);
+  }
+  return DEFAULT_RAKE_HEADS.map(normalizeRakeHead);
+}
+
+function saveRakeHeads() {
+  localStorage.setItem(RAKE_HEADS_KEY, JSON.stringify(rakeHeads));
+}
+
+function updateRakeHeadSelect() {
+  rakeHeadSelect.replaceChildren(new Option('Standard', ''));
+  for (const head of rakeHeads) rakeHeadSelect.add(new Option(head.name, head.name));
+  // A head restored from a save that was never added here
+  if (rakeHead && !rakeHeads.some((head) => head.name === rakeHead.name)) {
+    rakeHeadSelect.add(new Option(rakeHead.name, rakeHead.name));
+  }
+  rakeHeadSelect.value = rakeHead ? rakeHead.name : '';
+}
+
+function setRakeHead(head) {
+  rakeHead = normalizeRakeHead(head);
+  updateRakeHeadSelect();
+  markCursorDirty();
+  requestRender();
+}
+
+rakeHeadSelect.addEventListener('change', () => {
+  const name = rakeHeadSelect.value;
+  const head = rakeHeads.find((h) => h.name === name) || (rakeHead && rakeHead.name === name ? rakeHead : null);
+  setRakeHead(head);
+  gtag('event', 'rake_head_select', { custom: !!rakeHead, tines: rakeHead ? rakeHead.tines.length : 0 });
+  saveSettings();
+});
+
+// Top: the head seen from above, darker tines dig deeper.
+// Bottom: the groove profile one pass of the head leaves in the sand.
+function drawRakeHeadPreview() {
+  const pc = rakeHeadPreview.getContext('2d');
+  const pw = rakeHeadPreview.width;
+  const ph = rakeHeadPreview.height;
+  const tines = rakeHeadDraft.tines;
+  const scale = Math.min(40, (pw / 2 - 12) / Math.max(1, getTinesHalfWidth(tines)));
+  const cx = pw / 2;
+  const topY = ph * 0.3;
+  const surfaceY = ph * 0.68;
+  const depthPx = ph * 0.25;
+
+  pc.fillStyle = '#2a2218';
+  pc.fillRect(0, 0, pw, ph);
+  if (tines.length > 1) {
+    const offsets = tines.map((t) => t.offset);
+    pc.strokeStyle = 'rgba(194, 166, 125, 0.5)';
+    pc.lineWidth = 2;
+    pc.beginPath();
+    pc.moveTo(cx + Math.min(...offsets) * scale, topY);
+    pc.lineTo(cx + Math.max(...offsets) * scale, topY);
+    pc.stroke();
+  }
+  pc.strokeStyle = '#c2a67d';
+  pc.lineWidth = 1;
+  for (const t of tines) {
+    pc.fillStyle = `rgba(194, 166, 125, ${0.15 + 0.4 * t.depth})`;
+    pc.beginPath();
+    pc.arc(cx + t.offset * scale, topY, t.radius * scale, 0, Math.PI * 2);
+    pc.fill();
+    pc.stroke();
+  }
+
+  // The chosen tine shape at unit depth, ignoring the rim
+  const shape = tineShape;
+  pc.strokeStyle = '#e8d5b7';
+  pc.beginPath();
+  for (let x = 0; x < pw; x++) {
+    const u = (x - cx) / scale;
+    let dig = 0;
+    for (const t of tines) {
+      const across = (u - t.offset) / t.radius;
+      if (Math.abs(across) >= 1) continue;
+      let h = TINE_SHAPES[shape](Math.abs(across), t.depth, 0);
+      if (shape === 'serrated' && h < 1) h = Math.min(1, h + getSerrationRaise(across, t.depth));
+      dig = Math.max(dig, 1 - h);
+    }
+    const y = surfaceY + dig / RAKE_HEAD_LIMITS.depth[1] * depthPx;
+    if (x === 0) pc.moveTo(x, y); else pc.lineTo(x, y);
+  }
+  pc.stroke();
+}
+
+function renderRakeHeadTines() {
+  rakeHeadTineList.replaceChildren();
+  rakeHeadDraft.tines.forEach((tine, i) => {
+    const row = document.createElement('div');
+    row.className = 'rake-head-tine';
+    for (const [key, label, step] of [['offset', 'Offset', 0.1], ['radius', 'Size', 0.05], ['depth', 'Depth', 0.05]]) {
+      const field = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'number';
+      [input.min, input.max] = RAKE_HEAD_LIMITS[key];
+      input.step = step;
+      input.value = tine[key];
+      input.addEventListener('input', () => {
+        const value = parseFloat(input.value);
+        if (!Number.isFinite(value)) return;
+        // min/max don't stop typed values; keep the tine in range as saving would
+        const [lo, hi] = RAKE_HEAD_LIMITS[key];
+        tine[key] = Math.max(lo, Math.min(hi, value));
+        drawRakeHeadPreview();
+      });
+      input.addEventListener('change', () => { input.value = tine[key]; });
+      field.append(label, input);
+      row.appendChild(field);
+    }
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.textContent = 'x';
+    removeBtn.title = 'Remove tine';
+    removeBtn.disabled = rakeHeadDraft.tines.length === 1;
+    removeBtn.addEventListener('click', () => {
+      rakeHeadDraft.tines.splice(i, 1);
+      renderRakeHeadTines();
+    });
+    row.appendChild(removeBtn);
+    rakeHeadTineList.appendChild(row);
+  });
+  document.getElementById('rakeHeadAddBtn').disabled = rakeHeadDraft.tines.length >= RAKE_HEAD_MAX_TINES;
+  drawRakeHeadPreview();
+}
+
+function openRakeHeadModal() {
+  gtag('event', 'rake_head_designer_open');
+  // Start from the head in use, or from the standard rake as the sliders set it
+  const start = rakeHead || {
+    name: 'My Rake',
+    tines: getRakeTineOffsets(1).map((offset) => ({ offset: Math.round(offset * 10) / 10, radius: 1, depth: 1 }))
+  };
+  rakeHeadDraft = normalizeRakeHead(start);
+  rakeHeadName.value = rakeHeadDraft.name;
+  rakeHeadStatus.textContent = '';
+  renderRakeHeadTines();
+  rakeHeadModal.classList.add('open');
+  rakeHeadModal.setAttribute('aria-hidden', 'false');
+}
+
+function closeRakeHeadModal() {
+  rakeHeadModal.classList.remove('open');
+  rakeHeadModal.setAttribute('aria-hidden', 'true');
+  rakeHeadDraft = null;
+}
+
+document.getElementById('rakeHeadEditBtn').addEventListener('click', openRakeHeadModal);
+document.getElementById('rakeHeadClose').addEventListener('click', closeRakeHeadModal);
+rakeHeadModal.addEventListener('click', (e) => {
+  if (e.target === rakeHeadModal) closeRakeHeadModal();
+});
+
+document.getElementById('rakeHeadAddBtn').addEventListener('click', () => {
+  const tines = rakeHeadDraft.tines;
+  const last = tines.reduce((max, t) => Math.max(max, t.offset), -Infinity);
+  tines.push({ offset: Math.min(RAKE_HEAD_LIMITS.offset[1], last + 2), radius: 1, depth: 1 });
+  renderRakeHeadTines();
+});
+
+document.getElementById('rakeHeadDeleteBtn').addEventListener('click', () => {
+  const name = rakeHeadName.value.trim();
+  if (!rakeHeads.some((h) => h.name === name)) {
+    rakeHeadStatus.textContent = 'No saved head with this name';
+    return;
+  }
+  if (!confirm(`Delete the rake head "${name}"?`)) return;
+  rakeHeads = rakeHeads.filter((h) => h.name !== name);
+  saveRakeHeads();
+  if (rakeHead && rakeHead.name === name) setRakeHead(null);
+  updateRakeHeadSelect();
+  saveSettings();
+  gtag('event', 'rake_head_delete');
+  closeRakeHeadModal();
+});
+
+document.getElementById('rakeHeadSaveBtn').addEventListener('click', () => {
+  const name = rakeHeadName.value.trim();
+  if (!name) {
+    rakeHeadStatus.textContent = 'Give the head a name';
+    return;
+  }
+  const head = normalizeRakeHead({ ...rakeHeadDraft, name });
+  const index = rakeHeads.findIndex((h) => h.name === head.name);
+  if (index >= 0) rakeHeads[index] = head; else rakeHeads.push(head);
+  saveRakeHeads();
+  setRakeHead(head);
+  saveSettings();
+  gtag('event', 'rake_head_save', { tines: head.tines.length });
+  closeRakeHeadModal();
+});
+
+updateRakeHeadSelect();
+
+tineShapeSelect.addEventListener('change', () => {
+  setTineShape(tineShapeSelect.value);
+  gtag('event', 'tine_shape', { shape: tineShape });
+  saveSettings();
+});
+
 const fadeMarksToggle = document.getElementById('fadeMarksToggle');
 fadeMarksToggle.addEventListener('change', () => {
   setMarkFadeEnabled(fadeMarksToggle.checked);
@@ -3468,8 +6086,22 @@ fadeMarksToggle.addEventListener('change', () => {
   saveSettings();
 });
 
+const shadowsToggle = document.getElementById('shadowsToggle');
+shadowsToggle.addEventListener('change', () => {
+  setShadowsEnabled(shadowsToggle.checked);
+  gtag('event', 'shadows_toggle', { enabled: shadowsEnabled });
+  saveSettings();
+});
+
+const aoToggle = document.getElementById('aoToggle');
+aoToggle.addEventListener('change', () => {
+  setAmbientOcclusionEnabled(aoToggle.checked);
+  gtag('event', 'ao_toggle', { enabled: aoEnabled });
+  saveSettings();
+});
+
 // --- Settings Persistence ---
-function saveSettings() {
+function collectSettings() {
   const settings = {};
   for (const def of SLIDER_CONFIG) {
     settings[def.key] = sliderEls[def.key].el.value;
@@ -3484,49 +6116,111 @@ function saveSettings() {
   settings.mirrorV = mirrorV;
   settings.mirrorH = mirrorH;
   settings.mirrorD = mirrorD;
+  settings.symmetryOrder = symmetryOrder;
+  settings.symmetryReflect = symmetryReflect;
+  settings.symmetryCenter = symmetryCenter;
+  settings.symmetryAxis = symmetryAxis;
   settings.alignCenter = alignCenter;
   settings.solidRake = solidRakeMode;
+  settings.rakeHead = rakeHead;
+  settings.tineShape = tineShape;
   settings.fadeMarks = fadeMarksEnabled;
+  settings.timeOfDay = timeOfDaySelect.value;
+  settings.shadows = shadowsEnabled;
+  settings.ambientOcclusion = aoEnabled;
   const tlModeEl = document.getElementById('tlMode');
   if (tlModeEl) settings.tlMode = tlModeEl.value;
-  localStorage.setItem('zenGardenSettings', JSON.stringify(settings));
+  settings.saveSort = saveSortSelect.value;
+  settings.restoreTools = restoreToolsToggle.checked;
+  settings.resampleMode = resampleModeSelect.value;
+  settings.meshDetail = meshDetailSelect.value;
+  settings.meshBase = meshBaseSlider.value;
+  settings.meshExaggeration = meshExaggerationSlider.value;
+  settings.stillFormat = stillFormatSelect.value;
+  settings.stillScale = stillScaleSelect.value;
+  settings.stillWatermark = stillWatermarkSelect.value;
+  settings.stillWatermarkText = stillWatermarkText.value;
+  settings.stillFrame = stillFrameSelect.value;
+  settings.gpuRendering = !!gpu;
+  settings.quality = renderQualitySelect.value;
+  settings.workerRendering = !!sandWorker;
+  return settings;
+}
+
+function saveSettings() {
+  localStorage.setItem('zenGardenSettings', JSON.stringify(collectSettings()));
+}
+
+function applySettings(s) {
+  for (const def of SLIDER_CONFIG) {
+    if (s[def.key] !== undefined) {
+      const { el, labelEl } = sliderEls[def.key];
+      el.value = s[def.key];
+      cached[def.key] = scaleSliderValue(def.key, def.parse(el.value));
+      if (labelEl) labelEl.textContent = el.value;
+    }
+  }
+  if (s.guideShow !== undefined) guideToggle.checked = s.guideShow;
+  if (s.guideOpacity !== undefined) guideOpacity.value = s.guideOpacity;
+  if (s.guideZoom !== undefined) guideZoom.value = s.guideZoom;
+  if (s.guideX !== undefined) guideX.value = s.guideX;
+  if (s.guideY !== undefined) guideY.value = s.guideY;
+  if (s.guideBW !== undefined) { guideBW.checked = s.guideBW; guideThresholdGroup.style.display = s.guideBW ? 'flex' : 'none'; }
+  if (s.guideThreshold !== undefined) guideThreshold.value = s.guideThreshold;
+  guideOverlay.style.display = guideToggle.checked ? 'block' : 'none';
+  guideOverlay.style.opacity = guideOpacity.value / 100;
+  updateGuideTransform();
+  if (s.mirrorV !== undefined) { mirrorV = s.mirrorV; mirrorVBtn.classList.toggle('active', mirrorV); }
+  if (s.mirrorH !== undefined) { mirrorH = s.mirrorH; mirrorHBtn.classList.toggle('active', mirrorH); }
+  if (s.mirrorD !== undefined) { mirrorD = s.mirrorD; mirrorDBtn.classList.toggle('active', mirrorD); }
+  if (s.symmetryOrder !== undefined) setSymmetryOrder(s.symmetryOrder, s.symmetryReflect);
+  if (s.symmetryCenter !== undefined) {
+    const c = toSymmetryCenter(s.symmetryCenter);
+    setSymmetryCenter(c.x, c.y);
+  }
+  if (s.symmetryAxis !== undefined) setSymmetryAxis(Number(s.symmetryAxis));
+  if (s.alignCenter !== undefined) { alignCenter = s.alignCenter; alignCenterToggle.checked = alignCenter; }
+  if (s.solidRake !== undefined) { solidRakeMode = !!s.solidRake; solidRakeToggle.checked = solidRakeMode; }
+  updateSolidRakeConstraints();
+  if (s.rakeHead !== undefined) setRakeHead(s.rakeHead);
+  if (s.tineShape !== undefined) setTineShape(s.tineShape);
+  if (s.fadeMarks !== undefined) {
+    fadeMarksToggle.checked = !!s.fadeMarks;
+    setMarkFadeEnabled(fadeMarksToggle.checked);
+  }
+  if (s.timeOfDay !== undefined && s.timeOfDay !== timeOfDaySelect.value) setTimeOfDayMode(s.timeOfDay);
+  if (s.shadows !== undefined) { shadowsToggle.checked = !!s.shadows; setShadowsEnabled(shadowsToggle.checked); }
+  if (s.ambientOcclusion !== undefined) { aoToggle.checked = !!s.ambientOcclusion; setAmbientOcclusionEnabled(aoToggle.checked); }
+  if (s.tlMode !== undefined) { const tlModeEl = document.getElementById('tlMode'); if (tlModeEl) tlModeEl.value = s.tlMode; }
+  if (s.saveSort !== undefined) saveSortSelect.value = s.saveSort;
+  if (s.restoreTools !== undefined) restoreToolsToggle.checked = !!s.restoreTools;
+  if (s.resampleMode !== undefined) resampleModeSelect.value = s.resampleMode;
+  if (s.meshDetail !== undefined) meshDetailSelect.value = s.meshDetail;
+  if (s.meshBase !== undefined) { meshBaseSlider.value = s.meshBase; meshBaseLabel.textContent = s.meshBase; }
+  if (s.meshExaggeration !== undefined) {
+    meshExaggerationSlider.value = s.meshExaggeration;
+    meshExaggerationLabel.textContent = s.meshExaggeration;
+  }
+  if (s.stillFormat !== undefined) stillFormatSelect.value = s.stillFormat;
+  if (s.stillScale !== undefined) stillScaleSelect.value = s.stillScale;
+  if (s.stillWatermark !== undefined) {
+    stillWatermarkSelect.value = s.stillWatermark;
+    stillWatermarkText.disabled = s.stillWatermark === 'none';
+  }
+  if (s.stillWatermarkText !== undefined) stillWatermarkText.value = s.stillWatermarkText;
+  if (s.stillFrame !== undefined) stillFrameSelect.value = s.stillFrame;
+  if (s.gpuRendering !== undefined && s.gpuRendering !== !!gpu) setGpuRendering(s.gpuRendering);
+  if (s.quality !== undefined) setRenderQuality(s.quality);
+  if (s.workerRendering !== undefined && s.workerRendering !== !!sandWorker) setWorkerRendering(s.workerRendering);
+  updateSymmetryLines();
+  updateLighting();
 }
 
 function loadSettings() {
   const saved = localStorage.getItem('zenGardenSettings');
   if (!saved) return;
   try {
-    const s = JSON.parse(saved);
-    for (const def of SLIDER_CONFIG) {
-      if (s[def.key] !== undefined) {
-        const { el, labelEl } = sliderEls[def.key];
-        el.value = s[def.key];
-        cached[def.key] = def.parse(el.value) * getScale(def.key);
-        if (labelEl) labelEl.textContent = el.value;
-      }
-    }
-    if (s.guideShow !== undefined) guideToggle.checked = s.guideShow;
-    if (s.guideOpacity !== undefined) guideOpacity.value = s.guideOpacity;
-    if (s.guideZoom !== undefined) guideZoom.value = s.guideZoom;
-    if (s.guideX !== undefined) guideX.value = s.guideX;
-    if (s.guideY !== undefined) guideY.value = s.guideY;
-    if (s.guideBW !== undefined) { guideBW.checked = s.guideBW; guideThresholdGroup.style.display = s.guideBW ? 'flex' : 'none'; }
-    if (s.guideThreshold !== undefined) guideThreshold.value = s.guideThreshold;
-    guideOverlay.style.display = guideToggle.checked ? 'block' : 'none';
-    guideOverlay.style.opacity = guideOpacity.value / 100;
-    updateGuideTransform();
-    if (s.mirrorV !== undefined) { mirrorV = s.mirrorV; mirrorVBtn.classList.toggle('active', mirrorV); }
-    if (s.mirrorH !== undefined) { mirrorH = s.mirrorH; mirrorHBtn.classList.toggle('active', mirrorH); }
-    if (s.mirrorD !== undefined) { mirrorD = s.mirrorD; mirrorDBtn.classList.toggle('active', mirrorD); }
-    if (s.alignCenter !== undefined) { alignCenter = s.alignCenter; alignCenterToggle.checked = alignCenter; }
-    if (s.solidRake !== undefined) { solidRakeMode = !!s.solidRake; solidRakeToggle.checked = solidRakeMode; }
-    updateSolidRakeConstraints();
-    if (s.fadeMarks !== undefined) {
-      fadeMarksToggle.checked = !!s.fadeMarks;
-      setMarkFadeEnabled(fadeMarksToggle.checked);
-    }
-    if (s.tlMode !== undefined) { const tlModeEl = document.getElementById('tlMode'); if (tlModeEl) tlModeEl.value = s.tlMode; }
-    updateSymmetryLines();
+    applySettings(JSON.parse(saved));
   } catch (e) {
     console.warn('Failed to load settings', e);
   }
@@ -3559,12 +6253,15 @@ document.getElementById('resetSettingsBtn').addEventListener('click', () => {
       if (def.key === 'gapMul') el.value = '2.5';
     }
 
-    cached[def.key] = def.parse(el.value) * getScale(def.key);
+    cached[def.key] = scaleSliderValue(def.key, def.parse(el.value));
     if (labelEl) labelEl.textContent = el.value;
     if (def.onChange) def.onChange();
   }
   // Reset mirror/alignment
   mirrorV = false; mirrorH = false; mirrorD = false; alignCenter = false;
+  setSymmetryOrder(1, false);
+  setSymmetryCenter(0.5, 0.5);
+  setSymmetryAxis(0);
   solidRakeMode = false;
   savedSandboxTineCountForSolid = null;
   mirrorVBtn.classList.remove('active');
@@ -3573,8 +6270,15 @@ document.getElementById('resetSettingsBtn').addEventListener('click', () => {
   alignCenterToggle.checked = false;
   solidRakeToggle.checked = false;
   updateSolidRakeConstraints();
+  setRakeHead(null);
+  setTineShape('rounded');
   fadeMarksToggle.checked = false;
   setMarkFadeEnabled(false);
+  setTimeOfDayMode('off');
+  shadowsToggle.checked = false;
+  setShadowsEnabled(false);
+  aoToggle.checked = false;
+  setAmbientOcclusionEnabled(false);
   updateSymmetryLines();
   // Reset guide overlay
   guideToggle.checked = false;
@@ -3593,27 +6297,347 @@ document.getElementById('resetSettingsBtn').addEventListener('click', () => {
   requestRender();
 });
 
+// --- Compact garden encoding ---
+// Saves, autosaves and .ssand files keep height as 16-bit steps across the
+// garden's own min..max range and colour as 8 bits per channel, palette-indexed
+// when the garden uses 256 colours or fewer. Heights are delta-coded so gzip
+// can squeeze the smooth sand. Layout (little-endian):
+//   f32 min height, f32 height step, u16 palette size (0 = RGB planes), u16 reserved,
+//   palette (3 bytes per colour), u16 height deltas (W*H),
+//   then palette indices (W*H) or R, G and B planes (W*H each).
+const GARDEN_PACK_ENCODING = 'q16';
+const GARDEN_PACK_HEADER_BYTES = 12;
+
+// Returns Blob parts holding the encoded buffers
+function quantizeGarden(data) {
+  const { sandHeight: hgt, sandR: srcR, sandG: srcG, sandB: srcB } = data;
+  const count = hgt.length;
+  let minH = Infinity;
+  let maxH = -Infinity;
+  for (let i = 0; i < count; i++) {
+    const v = hgt[i];
+    if (v < minH) minH = v;
+    if (v > maxH) maxH = v;
+  }
+  const step = maxH > minH ? (maxH - minH) / 65535 : 1;
+  const invStep = 1 / step;
+  const deltas = new Uint16Array(count);
+  let prev = 0;
+  for (let i = 0; i < count; i++) {
+    const q = Math.round((hgt[i] - minH) * invStep);
+    deltas[i] = (q - prev) & 0xffff;
+    prev = q;
+  }
+
+  // Clamped arrays round and clamp on assignment
+  const r8 = new Uint8ClampedArray(count);
+  const g8 = new Uint8ClampedArray(count);
+  const b8 = new Uint8ClampedArray(count);
+  const indices = new Uint8Array(count);
+  const paletteIndex = new Map();
+  let usePalette = true;
+  for (let i = 0; i < count; i++) {
+    r8[i] = srcR[i];
+    g8[i] = srcG[i];
+    b8[i] = srcB[i];
+    if (!usePalette) continue;
+    const key = (r8[i] << 16) | (g8[i] << 8) | b8[i];
+    let idx = paletteIndex.get(key);
+    if (idx === undefined) {
+      if (paletteIndex.size === 256) {
+        usePalette = false;
+        continue;
+      }
+      idx = paletteIndex.size;
+      paletteIndex.set(key, idx);
+    }
+    indices[i] = idx;
+  }
+
+  const paletteSize = usePalette ? paletteIndex.size : 0;
+  const header = new ArrayBuffer(GARDEN_PACK_HEADER_BYTES);
+  const view = new DataView(header);
+  view.setFloat32(0, minH, true);
+  view.setFloat32(4, step, true);
+  view.setUint16(8, paletteSize, true);
+  if (!usePalette) return [header, deltas, r8, g8, b8];
+
+  const palette = new Uint8Array(paletteSize * 3);
+  for (const [key, idx] of paletteIndex) {
+    palette[idx * 3] = key >> 16;
+    palette[idx * 3 + 1] = (key >> 8) & 0xff;
+    palette[idx * 3 + 2] = key & 0xff;
+  }
+  return [header, palette, deltas, indices];
+}
+
+// Decode buffers written by quantizeGarden, which must run to the end of `buf`
+function dequantizeGarden(buf, offset, count) {
+  const view = new DataView(buf, offset, GARDEN_PACK_HEADER_BYTES);
+  const minH = view.getFloat32(0, true);
+  const step = view.getFloat32(4, true);
+  const paletteSize = view.getUint16(8, true);
+  let off = offset + GARDEN_PACK_HEADER_BYTES;
+  const expected = off + paletteSize * 3 + count * 2 + (paletteSize ? count : count * 3);
+  if (!(count > 0) || buf.byteLength !== expected) throw new Error('Garden data is damaged');
+
+  const palette = new Uint8Array(buf, off, paletteSize * 3);
+  off += paletteSize * 3;
+  // Copy out so the u16 view is aligned whatever the palette length
+  const deltas = new Uint16Array(buf.slice(off, off + count * 2));
+  off += count * 2;
+  const sandHeight = new Float32Array(count);
+  let q = 0;
+  for (let i = 0; i < count; i++) {
+    q = (q + deltas[i]) & 0xffff;
+    sandHeight[i] = minH + q * step;
+  }
+
+  const sandR = new Float32Array(count);
+  const sandG = new Float32Array(count);
+  const sandB = new Float32Array(count);
+  if (paletteSize) {
+    const indices = new Uint8Array(buf, off, count);
+    for (let i = 0; i < count; i++) {
+      const p = indices[i] * 3;
+      sandR[i] = palette[p];
+      sandG[i] = palette[p + 1];
+      sandB[i] = palette[p + 2];
+    }
+  } else {
+    sandR.set(new Uint8Array(buf, off, count));
+    sandG.set(new Uint8Array(buf, off + count, count));
+    sandB.set(new Uint8Array(buf, off + count * 2, count));
+  }
+  return { sandHeight, sandR, sandG, sandB };
+}
+
+async function gzipBytes(parts) {
+  const stream = new Blob(parts).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function gunzipBytes(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).arrayBuffer();
+}
+
+// Swap a record's height/colour Float32Arrays for one compressed `packed` blob.
+// Other fields (stroke log, quote and slime buffers) are kept as they are.
+async function packGardenRecord(record) {
+  const packed = await gzipBytes(quantizeGarden(record));
+  const rest = { ...record };
+  delete rest.sandHeight;
+  delete rest.sandR;
+  delete rest.sandG;
+  delete rest.sandB;
+  return { ...rest, encoding: GARDEN_PACK_ENCODING, packed };
+}
+
+// Saves written before the compact encoding still hold raw Float32Arrays
+// and pass straight through.
+async function unpackGardenRecord(record) {
+  if (!record || !record.packed) return record;
+  if (record.encoding !== GARDEN_PACK_ENCODING) {
+    throw new Error('This garden was saved by a newer version of Silent Sand');
+  }
+  const raw = await gunzipBytes(record.packed);
+  const { packed, encoding, ...rest } = record;
+  return { ...rest, ...dequantizeGarden(raw, 0, record.w * record.h) };
+}
+
 // --- IndexedDB Browser Storage ---
+// All reads and writes go through the storage* helpers below. When IndexedDB
+// can't be opened (private browsing, disabled storage) they fall back to
+// in-memory maps for the rest of the visit, so the Saves tab keeps working
+// and files can still be exported.
 const DB_NAME = 'ZenGardenDB';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORE_NAME = 'gardens';
+const SESSION_STORE = 'session'; // autosaved working state, keyed by name
+
+// DB_MIGRATIONS[v] upgrades a database from version v - 1 to v. Each step runs
+// inside the versionchange transaction, so later steps can rewrite records
+// through `tx`. Never edit a shipped step; append a new one and bump DB_VERSION.
+const DB_MIGRATIONS = [
+  null,
+  (database) => {
+    database.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+  },
+  (database) => {
+    database.createObjectStore(SESSION_STORE);
+  }
+];
 
-let db;
-const openRequest = indexedDB.open(DB_NAME, DB_VERSION);
-openRequest.onupgradeneeded = (e) => {
-  const db = e.target.result;
-  if (!db.objectStoreNames.contains(STORE_NAME)) {
-    db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+const storageMeterFill = document.getElementById('storageMeterFill');
+const storageMeterText = document.getElementById('storageMeterText');
+let db = null;
+let memoryStores = null;   // { [storeName]: Map } when IndexedDB is unavailable
+let memoryNextId = 1;
+let storageReady = false;
+let storageFull = false;   // last write hit the quota
+let storageStale = false;  // another tab upgraded the database under us
+const STORAGE_STALE_MESSAGE = 'Saved gardens were updated in another tab. Reload this page to keep using them.';
+
+function openStorage() {
+  let request;
+  try {
+    request = indexedDB.open(DB_NAME, DB_VERSION);
+  } catch (e) {
+    // indexedDB is missing entirely, or open() throws (some private modes)
+    useMemoryStorage(e);
+    return;
   }
-};
-openRequest.onsuccess = (e) => {
-  db = e.target.result;
+  request.onupgradeneeded = (e) => {
+    const database = request.result;
+    const tx = request.transaction;
+    for (let v = e.oldVersion + 1; v <= DB_VERSION; v++) {
+      DB_MIGRATIONS[v](database, tx);
+    }
+  };
+  request.onsuccess = () => {
+    db = request.result;
+    // Let a newer version of the app in another tab upgrade the schema; this
+    // tab's code no longer matches it, so ask for a reload rather than
+    // carrying on against an empty stand-in
+    db.onversionchange = () => {
+      db.close();
+      db = null;
+      storageStale = true;
+      gtag('event', 'storage_version_change');
+      updateStorageMeter();
+    };
+    onStorageReady();
+  };
+  request.onerror = (e) => {
+    e.preventDefault();
+    useMemoryStorage(request.error);
+  };
+  request.onblocked = () => {
+    storageMeterText.textContent = 'Close other Silent Sand tabs to finish updating saved gardens';
+  };
+}
+
+function useMemoryStorage(reason) {
+  console.warn('IndexedDB unavailable, keeping saves in memory', reason);
+  gtag('event', 'storage_fallback', { reason: reason && reason.name ? reason.name : 'unavailable' });
+  memoryStores = {
+    [STORE_NAME]: new Map(),
+    [SESSION_STORE]: new Map()
+  };
+  onStorageReady();
+}
+
+function onStorageReady() {
+  storageReady = true;
   refreshSaveList();
-};
+  if (db) checkAutosavedSession();
+}
+
+function isQuotaError(err) {
+  return !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+// Run one request in its own transaction; resolves with the request's result
+// once the transaction has committed. A failed request aborts the transaction.
+function storageRequest(storeName, mode, makeRequest) {
+  if (!db) return Promise.reject(new Error(STORAGE_STALE_MESSAGE));
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    request.onerror = () => reject(request.error);
+    tx.oncomplete = () => {
+      if (mode === 'readwrite') storageFull = false;
+      resolve(request.result);
+    };
+    // Quota errors surface as an abort, sometimes without a request error
+    tx.onabort = () => reject(tx.error || request.error);
+  }).catch((err) => {
+    if (isQuotaError(err)) {
+      storageFull = true;
+      updateStorageMeter();
+    }
+    throw err;
+  });
+}
+
+function cloneForMemory(value) {
+  return typeof structuredClone === 'function' ? structuredClone(value) : value;
+}
+
+function storageGet(storeName, key) {
+  if (memoryStores) return Promise.resolve(cloneForMemory(memoryStores[storeName].get(key)));
+  return storageRequest(storeName, 'readonly', (store) => store.get(key));
+}
+
+function storageGetAll(storeName) {
+  if (memoryStores) return Promise.resolve([...memoryStores[storeName].values()].map(cloneForMemory));
+  return storageRequest(storeName, 'readonly', (store) => store.getAll());
+}
+
+// Insert or replace a record. Garden records get an id assigned when missing;
+// resolves with the record's key.
+function storagePut(storeName, value, key) {
+  if (memoryStores) {
+    const record = cloneForMemory(value);
+    if (storeName === STORE_NAME && record.id === undefined) record.id = memoryNextId++;
+    const recordKey = storeName === STORE_NAME ? record.id : key;
+    memoryStores[storeName].set(recordKey, record);
+    return Promise.resolve(recordKey);
+  }
+  return storageRequest(storeName, 'readwrite', (store) => (key === undefined ? store.put(value) : store.put(value, key)));
+}
+
+function storageDelete(storeName, key) {
+  if (memoryStores) {
+    memoryStores[storeName].delete(key);
+    return Promise.resolve();
+  }
+  return storageRequest(storeName, 'readwrite', (store) => store.delete(key));
+}
+
+// --- Storage usage meter ---
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(0, Math.round(bytes / 1024))} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+async function updateStorageMeter() {
+  if (storageStale) {
+    storageMeterFill.style.width = '0%';
+    storageMeterText.textContent = STORAGE_STALE_MESSAGE;
+    return;
+  }
+  if (memoryStores) {
+    storageMeterFill.style.width = '0%';
+    storageMeterText.textContent = 'Browser storage is unavailable: saves last until you close this tab. Export files to keep them.';
+    return;
+  }
+  let estimate = null;
+  if (navigator.storage && navigator.storage.estimate) {
+    try {
+      estimate = await navigator.storage.estimate();
+    } catch (e) {
+      estimate = null;
+    }
+  }
+  const pct = estimate && estimate.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : 0;
+  storageMeterFill.style.width = `${storageFull ? 100 : pct}%`;
+  storageMeterFill.classList.toggle('warn', storageFull || pct > 90);
+  if (storageFull) {
+    storageMeterText.textContent = 'Storage full: delete or export old saves to make room';
+  } else if (estimate && estimate.quota) {
+    storageMeterText.textContent = `${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used`;
+  } else {
+    storageMeterText.textContent = `${saveListEntries.length} saved garden${saveListEntries.length === 1 ? '' : 's'}`;
+  }
+}
 
 async function saveToBrowser(name) {
-  if (!db) return;
+  if (!storageReady) return;
   gtag('event', 'garden_save');
+  stopReplay();
   const gardenData = {
     name: name || `Garden ${new Date().toLocaleTimeString()}`,
     date: Date.now(),
@@ -3622,119 +6646,1242 @@ async function saveToBrowser(name) {
     sandHeight: new Float32Array(sandHeight),
     sandR: new Float32Array(sandR),
     sandG: new Float32Array(sandG),
-    sandB: new Float32Array(sandB)
+    sandB: new Float32Array(sandB),
+    noiseSeed,
+    strokeLog: serializeStrokeLog(),
+    thumbnail: renderGardenThumbnail({ w: W, h: H, sandHeight, sandR, sandG, sandB }),
+    ...collectToolSetup()
   };
 
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
-    store.add(gardenData);
-    tx.oncomplete = () => {
-      refreshSaveList();
-      resolve();
-    };
-    tx.onerror = () => reject(tx.error);
-  });
+  await storagePut(STORE_NAME, await packGardenRecord(gardenData));
+  refreshSaveList();
 }
 
 async function loadFromBrowser(id) {
-  if (!db) return;
+  if (!storageReady) return;
   gtag('event', 'garden_load');
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
-    const request = store.get(id);
-    request.onsuccess = () => {
-      const data = request.result;
-      if (!data) return reject("Save not found");
-
-      // Exit challenge modes if active
-      if (diggingMode) exitDiggingMode();
-      if (slimeMode) exitSlimeMode();
-      setActiveModeButton('zen');
-
-      // Use existing initGarden logic
-      initGarden(data.w, data.h);
-      sandHeight.set(data.sandHeight);
-      sandR.set(data.sandR);
-      sandG.set(data.sandG);
-      sandB.set(data.sandB);
-      
-      generateNoiseMap();
-      captureMarkFadeBaseline();
-      undoStack.length = 0;
-      redoStack.length = 0;
-      updateHistoryBtns();
-      markFullDirty();
-      requestRender();
-      resolve();
+  applyGardenData(await unpackGardenRecord(await getSaveRecord(id)));
+}
+
+// Replace the sandbox garden with a stored one (IndexedDB record or imported file)
+function applyGardenData(data) {
+  stopReplay();
+  settleSandWorker();
+  // Exit challenge modes if active
+  if (diggingMode) exitDiggingMode();
+  if (slimeMode) exitSlimeMode();
+  setActiveModeButton('zen');
+
+  // Gardens from another screen size are resampled onto the current one
+  const sameSize = data.w === W && data.h === H;
+  const garden = sameSize ? data : resampleGarden(data, W, H, resampleModeSelect.value);
+  sandHeight.set(garden.sandHeight);
+  sandR.set(garden.sandR);
+  sandG.set(garden.sandG);
+  sandB.set(garden.sandB);
+  generateNoiseMap(data.noiseSeed);
+  // The stroke log only stays valid at its original coordinates
+  if (sameSize && data.strokeLog && data.strokeLog.w === data.w && data.strokeLog.h === data.h) {
+    resetStrokeLog(data.strokeLog.origin, data.strokeLog.entries);
+    strokeLog.noiseSeed = data.strokeLog.noiseSeed;
+    strokeLog.createdAt = data.strokeLog.createdAt;
+  } else {
+    resetStrokeLog('snapshot');
+    strokeLogBase = getCurrentState();
+  }
+  captureMarkFadeBaseline();
+  clearHistory();
+  updateHistoryBtns();
+  if (restoreToolsToggle.checked) applyToolSetup(data);
+  autosaveDirty = true;
+  markFullDirty();
+  requestRender();
+}
+
+// Rake, symmetry and guide setup stored alongside a garden. Only these
+// settings keys travel with it; lighting, rendering and other app
+// preferences stay with the browser.
+const TOOL_SETUP_KEYS = [
+  'tineRadius', 'tineCount', 'gapMul', 'handleLength',
+  'depth', 'rim', 'blend', 'step', 'spread', 'fwdD', 'sideD',
+  'solidRake', 'rakeHead', 'tineShape',
+  'mirrorV', 'mirrorH', 'mirrorD', 'alignCenter',
+  'symmetryOrder', 'symmetryReflect', 'symmetryCenter', 'symmetryAxis',
+  'guideShow', 'guideOpacity', 'guideZoom', 'guideX', 'guideY', 'guideBW', 'guideThreshold'
+];
+
+function pickToolSettings(settings) {
+  const tool = {};
+  for (const key of TOOL_SETUP_KEYS) {
+    if (settings[key] !== undefined) tool[key] = settings[key];
+  }
+  return tool;
+}
+
+function collectToolSetup() {
+  return {
+    settings: pickToolSettings(collectSettings()),
+    rakeAngle,
+    guideImage: guideOriginalSrc
+  };
+}
+
+function applyToolSetup(data) {
+  if (!data.settings) return false;
+  // Older saves stored every setting; pick the tool setup back out
+  applySettings(pickToolSettings(data.settings));
+  rebuildGaussKernel();
+  if (typeof data.rakeAngle === 'number') rakeAngle = data.rakeAngle;
+  if (data.guideImage !== undefined) setGuideImage(data.guideImage);
+  saveSettings();
+  markCursorDirty();
+  return true;
+}
+
+async function deleteFromBrowser(id) {
+  if (!storageReady) return;
+  gtag('event', 'garden_delete');
+  await storageDelete(STORE_NAME, id);
+  refreshSaveList();
+}
+
+async function getSaveRecord(id) {
+  const record = await storageGet(STORE_NAME, id);
+  if (!record) throw new Error('Save not found');
+  return record;
+}
+
+function putSaveRecord(record) {
+  return storagePut(STORE_NAME, record);
+}
+
+async function renameSave(id) {
+  const record = await getSaveRecord(id);
+  const name = prompt('Rename save', record.name);
+  if (name === null || !name.trim()) return;
+  gtag('event', 'garden_rename');
+  record.name = name.trim();
+  await putSaveRecord(record);
+  refreshSaveList();
+}
+
+async function duplicateSave(id) {
+  const record = await getSaveRecord(id);
+  gtag('event', 'garden_duplicate');
+  const copy = { ...record, name: `${record.name} (copy)`, date: Date.now() };
+  delete copy.id;
+  await putSaveRecord(copy);
+  refreshSaveList();
+}
+
+// --- Save previews ---
+const SAVE_THUMB_W = 160;
+
+const PREVIEW_TAPS = 4;
+
+// Box-average a field down to tw x th, from at most PREVIEW_TAPS x PREVIEW_TAPS
+// evenly spread samples per block so previews stay cheap on large gardens
+function downsampleField(src, w, h, tw, th) {
+  const out = new Float32Array(tw * th);
+  const bw = w / tw;
+  const bh = h / th;
+  const tx = Math.min(PREVIEW_TAPS, Math.ceil(bw));
+  const ty = Math.min(PREVIEW_TAPS, Math.ceil(bh));
+  const inv = 1 / (tx * ty);
+  for (let y = 0; y < th; y++) {
+    for (let x = 0; x < tw; x++) {
+      let acc = 0;
+      for (let j = 0; j < ty; j++) {
+        const row = Math.min(h - 1, Math.floor((y + (j + 0.5) / ty) * bh)) * w;
+        for (let i = 0; i < tx; i++) {
+          acc += src[row + Math.min(w - 1, Math.floor((x + (i + 0.5) / tx) * bw))];
+        }
+      }
+      out[y * tw + x] = acc * inv;
+    }
+  }
+  return out;
+}
+
+// Shade a garden downsampled to `tw` pixels wide with the live lighting,
+// shadows and occlusion. `data` is a { w, h, sandHeight, sandR, sandG, sandB }
+// record, optionally with `slime` and `quote` fields.
+function shadeGardenPreview(data, tw) {
+  const { w, h } = data;
+  tw = Math.min(tw, w);
+  const th = Math.max(1, Math.round(h * tw / w));
+  const down = (buf) => (buf ? downsampleField(buf, w, h, tw, th) : null);
+  // Slopes are taken per preview pixel rather than per garden pixel, which
+  // steepens the grooves that averaging flattens so they still read
+  const fields = {
+    w: tw,
+    h: th,
+    pxScale: pixelRatio * tw / W,
+    height: down(data.sandHeight),
+    r: down(data.sandR),
+    g: down(data.sandG),
+    b: down(data.sandB),
+    noise: new Float32Array(tw * th), // grain averages out at this size
+    normD: 1,
+    invNormD2: 0.5,
+    quote: down(data.quote),
+    slime: down(data.slime)
+  };
+  const img = ctx.createImageData(tw, th);
+  shadeSandRegion(img.data, fields, 0, 0, tw - 1, th - 1);
+  return img;
+}
+
+// Small JPEG preview for the save list
+function renderGardenThumbnail(data) {
+  const img = shadeGardenPreview(data, SAVE_THUMB_W);
+  const c = document.createElement('canvas');
+  c.width = img.width;
+  c.height = img.height;
+  c.getContext('2d').putImageData(img, 0, 0);
+  return c.toDataURL('image/jpeg', 0.8);
+}
+
+// --- Save list ---
+const saveSearchInput = document.getElementById('saveSearchInput');
+const saveSortSelect = document.getElementById('saveSortSelect');
+const restoreToolsToggle = document.getElementById('restoreToolsToggle');
+const resampleModeSelect = document.getElementById('resampleModeSelect');
+let saveListEntries = []; // metadata only; buffers stay in IndexedDB
+
+// Roughly how many bytes a record takes up in storage
+function getRecordBytes(record) {
+  let bytes = 0;
+  for (const value of Object.values(record)) {
+    if (value === null || value === undefined) continue;
+    if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) bytes += value.byteLength;
+    else if (typeof value === 'string') bytes += value.length;
+    else if (typeof value === 'object') bytes += JSON.stringify(value).length;
+    else bytes += 8;
+  }
+  return bytes;
+}
+
+async function refreshSaveList() {
+  const listEl = document.getElementById('saveList');
+  if (!listEl || !storageReady) return;
+
+  let saves;
+  try {
+    saves = await storageGetAll(STORE_NAME);
+  } catch (e) {
+    console.error('Could not read saved gardens', e);
+    return;
+  }
+  saveListEntries = saves.map((save) => {
+    const { id, name, date, w, h, thumbnail } = save;
+    return { id, name, date, w, h, thumbnail, bytes: getRecordBytes(save) };
+  });
+  renderSaveList();
+  updateStorageMeter();
+  upgradeLegacySaves(saves);
+}
+
+// Saves from before previews or the compact encoding are brought up to date in
+// the background. A full disk just means it's tried again next time.
+async function upgradeLegacySaves(saves) {
+  const legacy = saves.filter((save) => !save.thumbnail || !save.packed);
+  let upgraded = 0;
+  for (const save of legacy) {
+    try {
+      if (!save.thumbnail) save.thumbnail = renderGardenThumbnail(await unpackGardenRecord(save));
+      await storagePut(STORE_NAME, save.packed ? save : await packGardenRecord(save));
+      upgraded++;
+    } catch (e) {
+      console.warn('Could not upgrade save', save.id, e);
+    }
+  }
+  if (upgraded > 0) refreshSaveList();
+}
+
+function renderSaveList() {
+  const listEl = document.getElementById('saveList');
+  const query = saveSearchInput.value.trim().toLowerCase();
+  const sortBy = saveSortSelect.value;
+  const saves = saveListEntries
+    .filter((save) => !query || save.name.toLowerCase().includes(query))
+    .sort((a, b) => {
+      if (sortBy === 'name') return a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }) || b.date - a.date;
+      if (sortBy === 'size') return b.bytes - a.bytes || b.date - a.date;
+      return b.date - a.date;
+    });
+  if (saves.length === 0) {
+    const message = saveListEntries.length === 0 ? 'No saved gardens yet' : 'No saves match your search';
+    listEl.innerHTML = `<div style="text-align: center; color: #5a4a35; font-size: 12px; padding: 20px;">${message}</div>`;
+    return;
+  }
+
+  listEl.innerHTML = '';
+  saves.forEach(save => {
+    const item = document.createElement('div');
+    item.className = 'save-item';
+    const dateStr = new Date(save.date).toLocaleString();
+    item.innerHTML = `
+      <img class="save-thumb" src="${save.thumbnail}" alt="">
+      <div class="save-info">
+        <div class="save-name">${escapeHtml(save.name)}</div>
+        <div class="save-date">${dateStr} • ${save.w}x${save.h} • ${formatBytes(save.bytes)}</div>
+      </div>
+      <div class="save-actions">
+        <button class="load-browser-btn" data-id="${save.id}">Load</button>
+        <button class="rename-btn" data-id="${save.id}">Rename</button>
+        <button class="duplicate-btn" data-id="${save.id}">Duplicate</button>
+        <button class="delete-btn" data-id="${save.id}">Delete</button>
+      </div>
+    `;
+    listEl.appendChild(item);
+  });
+
+  // Wire up buttons
+  listEl.querySelectorAll('.load-browser-btn').forEach(btn => {
+    btn.onclick = () => loadFromBrowser(Number(btn.dataset.id)).catch((e) => alert("Load failed: " + e.message));
+  });
+  listEl.querySelectorAll('.rename-btn').forEach(btn => {
+    btn.onclick = () => renameSave(Number(btn.dataset.id)).catch((e) => alert("Rename failed: " + e.message));
+  });
+  listEl.querySelectorAll('.duplicate-btn').forEach(btn => {
+    btn.onclick = () => duplicateSave(Number(btn.dataset.id)).catch((e) => alert("Duplicate failed: " + e.message));
+  });
+  listEl.querySelectorAll('.delete-btn').forEach(btn => {
+    btn.onclick = () => {
+      if (confirm("Delete this save?")) {
+        deleteFromBrowser(Number(btn.dataset.id)).catch((e) => alert("Delete failed: " + e.message));
+      }
     };
-    request.onerror = () => reject(request.error);
   });
 }
 
-async function deleteFromBrowser(id) {
+saveSearchInput.addEventListener('input', renderSaveList);
+saveSortSelect.addEventListener('change', renderSaveList);
+
+// --- Autosave & session recovery ---
+// The sandbox garden and any parked core/slime sessions are written to the
+// session store every AUTOSAVE_INTERVAL_MS when something changed, and again
+// when the tab is hidden or closed. On the next visit the user is offered the
+// autosave back. Interval saves use the compact encoding; the save on hide or
+// close has to start its write before the page goes away, so it stores the
+// raw buffers and the next interval save compacts them.
+const AUTOSAVE_INTERVAL_MS = 30000;
+const AUTOSAVE_KEY = 'autosave';
+const restoreSessionModal = document.getElementById('restoreSessionModal');
+const restoreSessionSubtitle = document.getElementById('restoreSessionSubtitle');
+const restoreSessionPreview = document.getElementById('restoreSessionPreview');
+let autosaveDirty = false;
+let autosaveHeld = false;     // true while the restore prompt is open
+let autosaveSerial = 0;       // bumped by every write; stale encodes are dropped
+let pendingSession = null;
+
+function captureSandboxGarden() {
+  settleSandWorker();
+  // The sandbox lives in savedGardenState while a challenge mode is active,
+  // and in the replay snapshot while a replay is running
+  let buffers;
+  if (replayState) {
+    const { h, r, g, b } = replayState.saved;
+    buffers = { sandHeight: h, sandR: r, sandG: g, sandB: b, noiseSeed: replayState.savedNoiseSeed };
+  } else if (isChallengeMode() && savedGardenState) {
+    const { h, r, g, b, noiseSeed: seed } = savedGardenState;
+    buffers = { sandHeight: h, sandR: r, sandG: g, sandB: b, noiseSeed: seed };
+  } else {
+    buffers = { sandHeight, sandR, sandG, sandB, noiseSeed };
+  }
+  return {
+    w: W,
+    h: H,
+    sandHeight: new Float32Array(buffers.sandHeight),
+    sandR: new Float32Array(buffers.sandR),
+    sandG: new Float32Array(buffers.sandG),
+    sandB: new Float32Array(buffers.sandB),
+    noiseSeed: buffers.noiseSeed,
+    strokeLog: serializeStrokeLog()
+  };
+}
+
+function captureSessionRecord() {
+  return {
+    date: Date.now(),
+    mode: diggingMode ? 'core' : slimeMode ? 'slime' : 'zen',
+    garden: captureSandboxGarden(),
+    core: diggingMode ? captureCoreSessionState() : savedCoreState,
+    slime: slimeMode ? captureSlimeSessionState() : savedSlimeState
+  };
+}
+
+function onAutosaveError(err, serial) {
+  // On a full disk, drop the stale autosave so it can't be restored over newer work
+  if (isQuotaError(err)) discardAutosavedSession();
+  else if (serial === autosaveSerial) autosaveDirty = true;
+  console.error('Autosave failed', err);
+}
+
+// Only real IndexedDB is worth autosaving to; the in-memory fallback is gone on reload
+async function autosaveSession() {
+  if (!db || autosaveHeld) return;
+  if (!autosaveDirty && !slimeMode) return;
+  autosaveDirty = false;
+  const serial = ++autosaveSerial;
+  // Capture synchronously; only the encoding waits
+  const { date, mode, garden, core, slime } = captureSessionRecord();
+  try {
+    const session = {
+      date,
+      mode,
+      garden: await packGardenRecord(garden),
+      core: core && await packGardenRecord(core),
+      slime: slime && await packGardenRecord(slime)
+    };
+    // A flush while this was encoding already wrote newer state
+    if (serial !== autosaveSerial) return;
+    await storagePut(SESSION_STORE, session, AUTOSAVE_KEY);
+  } catch (err) {
+    onAutosaveError(err, serial);
+  }
+}
+
+// Write the session without awaiting anything first, so the transaction is
+// already queued when the page is hidden or unloaded
+function flushAutosave() {
+  if (!db || autosaveHeld) return;
+  if (!autosaveDirty && !slimeMode) return;
+  autosaveDirty = false;
+  const serial = ++autosaveSerial;
+  storagePut(SESSION_STORE, captureSessionRecord(), AUTOSAVE_KEY).catch((err) => onAutosaveError(err, serial));
+}
+
+function discardAutosavedSession() {
   if (!db) return;
-  gtag('event', 'garden_delete');
+  storageDelete(SESSION_STORE, AUTOSAVE_KEY).catch((e) => console.error('Could not discard autosave', e));
+}
+
+function checkAutosavedSession() {
+  storageGet(SESSION_STORE, AUTOSAVE_KEY).then(async (stored) => {
+    if (!stored || !stored.garden) return;
+    const session = {
+      ...stored,
+      garden: await unpackGardenRecord(stored.garden),
+      core: stored.core && await unpackGardenRecord(stored.core),
+      slime: stored.slime && await unpackGardenRecord(stored.slime)
+    };
+    pendingSession = session;
+    autosaveHeld = true;
+    const extras = [];
+    if (session.core) extras.push('To the Core');
+    if (session.slime) extras.push('Slime');
+    restoreSessionSubtitle.textContent = `Autosaved ${new Date(session.date).toLocaleString()}` +
+      (extras.length ? ` • includes your ${extras.join(' and ')} session` : '');
+    restoreSessionPreview.src = renderGardenThumbnail(session.garden);
+    restoreSessionModal.classList.add('open');
+    restoreSessionModal.setAttribute('aria-hidden', 'false');
+  }).catch((e) => console.error('Could not read autosave', e));
+}
+
+function closeRestoreSessionModal() {
+  restoreSessionModal.classList.remove('open');
+  restoreSessionModal.setAttribute('aria-hidden', 'true');
+  restoreSessionPreview.removeAttribute('src');
+  pendingSession = null;
+  autosaveHeld = false;
+}
+
+function restoreAutosavedSession() {
+  const session = pendingSession;
+  closeRestoreSessionModal();
+  if (!session) return;
+  gtag('event', 'session_restore', { mode: session.mode });
+  abortIntro();
+  applyGardenData(session.garden);
+  savedCoreState = session.core || null;
+  savedSlimeState = session.slime || null;
+  if (session.mode === 'core' || session.mode === 'slime') switchMode(session.mode);
+}
+
+document.getElementById('restoreSessionBtn').addEventListener('click', restoreAutosavedSession);
+document.getElementById('discardSessionBtn').addEventListener('click', () => {
+  gtag('event', 'session_discard');
+  closeRestoreSessionModal();
+  discardAutosavedSession();
+});
+
+openStorage();
+setInterval(autosaveSession, AUTOSAVE_INTERVAL_MS);
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) flushAutosave();
+});
+window.addEventListener('pagehide', flushAutosave);
+
+// --- Garden files (.ssand) ---
+// Layout: "SSND" magic, u8 format version, 3 reserved bytes, then a gzip stream
+// holding a u32 meta length, the JSON meta and the garden buffers. Version 2
+// stores the buffers in the compact encoding; version 1 files hold the
+// height/r/g/b Float32Arrays (little-endian, W*H each) and still open.
+const GARDEN_FILE_MAGIC = 'SSND';
+const GARDEN_FILE_VERSION = 2;
+const GARDEN_FILE_EXT = '.ssand';
+
+async function encodeGardenFile(name) {
+  const meta = {
+    name,
+    date: Date.now(),
+    w: W,
+    h: H,
+    noiseSeed,
+    strokeLog: serializeStrokeLog(),
+    ...collectToolSetup()
+  };
+  const metaBytes = new TextEncoder().encode(JSON.stringify(meta));
+  const metaLen = new Uint8Array(4);
+  new DataView(metaLen.buffer).setUint32(0, metaBytes.length, true);
+  const compressed = await gzipBytes([metaLen, metaBytes, ...quantizeGarden({ sandHeight, sandR, sandG, sandB })]);
+
+  const header = new Uint8Array(8);
+  for (let i = 0; i < 4; i++) header[i] = GARDEN_FILE_MAGIC.charCodeAt(i);
+  header[4] = GARDEN_FILE_VERSION;
+  return new Blob([header, compressed], { type: 'application/octet-stream' });
+}
+
+// Returns a record shaped like an IndexedDB save
+async function decodeGardenFile(blob) {
+  const header = new Uint8Array(await blob.slice(0, 8).arrayBuffer());
+  const magic = String.fromCharCode(...header.subarray(0, 4));
+  if (header.length < 8 || magic !== GARDEN_FILE_MAGIC) {
+    throw new Error('Not a Silent Sand garden file');
+  }
+  if (header[4] > GARDEN_FILE_VERSION) {
+    throw new Error('This garden was saved by a newer version of Silent Sand');
+  }
+  const raw = await gunzipBytes(blob.slice(8));
+  const metaLen = new DataView(raw, 0, 4).getUint32(0, true);
+  const meta = JSON.parse(new TextDecoder().decode(new Uint8Array(raw, 4, metaLen)));
+  if (!meta || !Number.isInteger(meta.w) || meta.w <= 0 || !Number.isInteger(meta.h) || meta.h <= 0) {
+    throw new Error('Garden file is damaged');
+  }
+  const count = meta.w * meta.h;
+  let off = 4 + metaLen;
+  if (header[4] >= 2) {
+    try {
+      return { ...meta, ...dequantizeGarden(raw, off, count) };
+    } catch (e) {
+      throw new Error('Garden file is damaged');
+    }
+  }
+  const bufBytes = count * 4;
+  if (raw.byteLength !== off + bufBytes * 4) {
+    throw new Error('Garden file is damaged');
+  }
+  const readBuffer = () => {
+    const arr = new Float32Array(raw.slice(off, off + bufBytes));
+    off += bufBytes;
+    return arr;
+  };
+  return {
+    ...meta,
+    sandHeight: readBuffer(),
+    sandR: readBuffer(),
+    sandG: readBuffer(),
+    sandB: readBuffer()
+  };
+}
+
+async function exportGardenFile(name) {
+  stopReplay();
+  gtag('event', 'garden_export');
+  const blob = await encodeGardenFile(name || 'Garden');
+  downloadBlob(blob, `${timestampedFilename('zen-garden')}${GARDEN_FILE_EXT}`);
+}
+
+async function importGardenFile(file) {
+  const data = await decodeGardenFile(file);
+  gtag('event', 'garden_import');
+  applyGardenData(data);
+}
+
+function timestampedFilename(prefix) {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${prefix}-${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// --- Heightmap images ---
+// Height goes out as a 16-bit grayscale PNG (black = 0, white = HEIGHTMAP_MAX,
+// the same range render() shades) and colour as a regular 8-bit albedo PNG.
+// Canvas can only write 8-bit PNGs, so the heightmap is encoded by hand.
+// Imports take any image the browser can decode; 16-bit grayscale PNGs are
+// read directly so a round trip keeps full precision.
+const HEIGHTMAP_MAX = 2.0;
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+let crc32Table = null;
+
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+async function encodeHeightmapPng(hgt, w, h) {
+  // Each row: filter byte 1 (Sub), then big-endian u16 samples minus their left neighbour
+  const stride = 1 + w * 2;
+  const raw = new Uint8Array(h * stride);
+  const scale = 65535 / HEIGHTMAP_MAX;
+  for (let y = 0; y < h; y++) {
+    const row = y * stride;
+    raw[row] = 1;
+    let prev = 0;
+    for (let x = 0; x < w; x++) {
+      const v = hgt[y * w + x] * scale;
+      const q = v < 0 ? 0 : v > 65535 ? 65535 : Math.round(v);
+      raw[row + 1 + x * 2] = ((q >> 8) - (prev >> 8)) & 0xff;
+      raw[row + 2 + x * 2] = ((q & 0xff) - (prev & 0xff)) & 0xff;
+      prev = q;
+    }
+  }
+  const stream = new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'));
+  const idat = new Uint8Array(await new Response(stream).arrayBuffer());
+
+  const ihdr = new Uint8Array(13);
+  const ihdrView = new DataView(ihdr.buffer);
+  ihdrView.setUint32(0, w);
+  ihdrView.setUint32(4, h);
+  ihdr[8] = 16; // bit depth
+  ihdr[9] = 0;  // grayscale
+  return new Blob([
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', idat),
+    pngChunk('IEND', new Uint8Array(0))
+  ], { type: 'image/png' });
+}
+
+// Returns { w, h, values } with values in 0..1, or null when the file isn't a
+// non-interlaced 16-bit grayscale PNG (the canvas path handles those).
+async function decodeGray16Png(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  if (bytes.length < 33 || PNG_SIGNATURE.some((b, i) => bytes[i] !== b)) return null;
+  const view = new DataView(bytes.buffer);
+  const w = view.getUint32(16);
+  const h = view.getUint32(20);
+  if (bytes[24] !== 16 || bytes[25] !== 0 || bytes[28] !== 0) return null;
+
+  const idat = [];
+  for (let off = 8; off + 12 <= bytes.length;) {
+    const len = view.getUint32(off);
+    const type = String.fromCharCode(...bytes.subarray(off + 4, off + 8));
+    if (type === 'IDAT') idat.push(bytes.subarray(off + 8, off + 8 + len));
+    if (type === 'IEND') break;
+    off += 12 + len;
+  }
+  const stream = new Blob(idat).stream().pipeThrough(new DecompressionStream('deflate'));
+  const raw = new Uint8Array(await new Response(stream).arrayBuffer());
+  const stride = w * 2;
+  if (raw.length < h * (stride + 1)) throw new Error('Heightmap image is damaged');
+
+  // Undo the per-row PNG filters (2 bytes per pixel)
+  const pixels = new Uint8Array(h * stride);
+  for (let y = 0; y < h; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    for (let i = 0; i < stride; i++) {
+      const a = i >= 2 ? pixels[dst + i - 2] : 0;
+      const b = y > 0 ? pixels[dst - stride + i] : 0;
+      const c = i >= 2 && y > 0 ? pixels[dst - stride + i - 2] : 0;
+      let pred = 0;
+      if (filter === 1) pred = a;
+      else if (filter === 2) pred = b;
+      else if (filter === 3) pred = (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        pred = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      pixels[dst + i] = (raw[src + i] + pred) & 0xff;
+    }
+  }
+  const values = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++) values[i] = ((pixels[i * 2] << 8) | pixels[i * 2 + 1]) / 65535;
+  return { w, h, values };
+}
+
+function decodeImageLuminance(blob) {
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
-    store.delete(id);
-    tx.oncomplete = () => {
-      refreshSaveList();
-      resolve();
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      const c = document.createElement('canvas');
+      c.width = img.naturalWidth;
+      c.height = img.naturalHeight;
+      const cx = c.getContext('2d');
+      if (!cx || c.width === 0 || c.height === 0) {
+        reject(new Error('Could not read that image'));
+        return;
+      }
+      cx.drawImage(img, 0, 0);
+      const d = cx.getImageData(0, 0, c.width, c.height).data;
+      const values = new Float32Array(c.width * c.height);
+      for (let i = 0; i < values.length; i++) {
+        values[i] = (d[i * 4] * 0.299 + d[i * 4 + 1] * 0.587 + d[i * 4 + 2] * 0.114) / 255;
+      }
+      resolve({ w: c.width, h: c.height, values });
     };
-    tx.onerror = () => reject(tx.error);
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not read that image'));
+    };
+    img.src = url;
   });
 }
 
-async function refreshSaveList() {
-  const listEl = document.getElementById('saveList');
-  if (!listEl || !db) return;
+function encodeAlbedoPng() {
+  const c = document.createElement('canvas');
+  c.width = W;
+  c.height = H;
+  const cx = c.getContext('2d');
+  const img = cx.createImageData(W, H);
+  for (let i = 0; i < totalPixels; i++) {
+    img.data[i * 4] = sandR[i];
+    img.data[i * 4 + 1] = sandG[i];
+    img.data[i * 4 + 2] = sandB[i];
+    img.data[i * 4 + 3] = 255;
+  }
+  cx.putImageData(img, 0, 0);
+  return new Promise((resolve, reject) => {
+    c.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), 'image/png');
+  });
+}
 
-  const tx = db.transaction(STORE_NAME, 'readonly');
-  const store = tx.objectStore(STORE_NAME);
-  const request = store.getAll();
+async function exportHeightmapFile() {
+  stopReplay();
+  gtag('event', 'heightmap_export');
+  downloadBlob(await encodeHeightmapPng(sandHeight, W, H), `${timestampedFilename('zen-garden-height')}.png`);
+}
+
+async function exportAlbedoFile() {
+  stopReplay();
+  gtag('event', 'albedo_export');
+  downloadBlob(await encodeAlbedoPng(), `${timestampedFilename('zen-garden-color')}.png`);
+}
+
+// Replace the sandbox height field with an image; sand colour is kept. The
+// import is one history step, so it can be undone like a clear.
+async function importHeightmapFile(file) {
+  const image = (await decodeGray16Png(file)) || (await decodeImageLuminance(file));
+  if (!image || !(image.w > 0) || !(image.h > 0)) throw new Error('That file is not an image Silent Sand can read');
+  gtag('event', 'heightmap_import', { width: image.w, height: image.h });
+  if (isChallengeMode()) switchMode('zen');
+  stopReplay();
+  for (let i = 0; i < image.values.length; i++) image.values[i] *= HEIGHTMAP_MAX;
+  const height = resampleField(image.values, image.w, image.h, W, H, resampleModeSelect.value, 1.0);
+
+  endStrokeRecord();
+  saveState();
+  historyTouchRect(0, 0, W - 1, H - 1);
+  const id = ++strokeLogImportSerial;
+  strokeLogImports.set(id, height);
+  pushStrokeLogEntry({ type: 'import', time: Date.now(), id });
+  sandHeight.set(height);
+  autosaveDirty = true;
+  captureMarkFadeBaseline();
+  markFullDirty();
+  closeHistoryEntry();
+  requestRender();
+}
 
-  request.onsuccess = () => {
-    const saves = request.result.sort((a, b) => b.date - a.date);
-    if (saves.length === 0) {
-      listEl.innerHTML = '<div style="text-align: center; color: #5a4a35; font-size: 12px; padding: 20px;">No saved gardens yet</div>';
-      return;
+// --- 3D print export ---
+// Turns the sand into a closed solid: the height field on top, a flat base
+// `meshBase` mm thick underneath, walls around the edge and a fan across the
+// bottom. Units are millimetres, one CSS pixel of the garden = MESH_MM_PER_PIXEL,
+// so the default 1120px garden prints about 11 cm wide at any render quality.
+const MESH_MM_PER_PIXEL = 0.1;
+const MESH_MM_PER_HEIGHT = 1.0;
+const meshDetailSelect = document.getElementById('meshDetail');
+const meshBaseSlider = document.getElementById('meshBaseSlider');
+const meshBaseLabel = document.getElementById('meshBaseLabel');
+const meshExaggerationSlider = document.getElementById('meshExaggerationSlider');
+const meshExaggerationLabel = document.getElementById('meshExaggerationLabel');
+
+// Vertex coordinates along one axis: every `step` pixels plus the far edge
+function meshAxis(size, step) {
+  const coords = [];
+  for (let v = 0; v < size - 1; v += step) coords.push(v);
+  coords.push(size - 1);
+  return coords;
+}
+
+// Returns { positions, triangles } with outward-facing, counter-clockwise winding
+function buildSandMesh(step, baseMm, exaggeration) {
+  const xs = meshAxis(W, step);
+  const ys = meshAxis(H, step);
+  const gx = xs.length;
+  const gy = ys.length;
+  const perimeter = 2 * (gx - 1) + 2 * (gy - 1);
+  const vertexCount = gx * gy + perimeter + 1;
+  const positions = new Float32Array(vertexCount * 3);
+  const zScale = MESH_MM_PER_HEIGHT * exaggeration;
+  const mmPerPixel = MESH_MM_PER_PIXEL / pixelRatio;
+  const half = step >> 1;
+
+  // Top surface; each vertex averages the block around it so decimation
+  // doesn't alias the grooves. Image y runs down, model y runs up.
+  for (let j = 0; j < gy; j++) {
+    const y0 = Math.max(0, ys[j] - half);
+    const y1 = Math.min(H - 1, ys[j] + half);
+    for (let i = 0; i < gx; i++) {
+      const x0 = Math.max(0, xs[i] - half);
+      const x1 = Math.min(W - 1, xs[i] + half);
+      let sum = 0;
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) sum += sandHeight[y * W + x];
+      }
+      const hv = sum / ((y1 - y0 + 1) * (x1 - x0 + 1));
+      const p = (j * gx + i) * 3;
+      positions[p] = xs[i] * mmPerPixel;
+      positions[p + 1] = (H - 1 - ys[j]) * mmPerPixel;
+      positions[p + 2] = baseMm + Math.max(0, hv) * zScale;
     }
+  }
 
-    listEl.innerHTML = '';
-    saves.forEach(save => {
-      const item = document.createElement('div');
-      item.className = 'save-item';
-      const dateStr = new Date(save.date).toLocaleString();
-      item.innerHTML = `
-        <div class="save-info">
-          <div class="save-name">${save.name}</div>
-          <div class="save-date">${dateStr} • ${save.w}x${save.h}</div>
-        </div>
-        <div class="save-actions">
-          <button class="load-browser-btn" data-id="${save.id}">Load</button>
-          <button class="delete-btn" data-id="${save.id}">Delete</button>
-        </div>
-      `;
-      listEl.appendChild(item);
-    });
+  // Edge loop, counter-clockwise seen from above
+  const ring = [];
+  for (let i = 0; i < gx - 1; i++) ring.push((gy - 1) * gx + i);
+  for (let j = gy - 1; j > 0; j--) ring.push(j * gx + gx - 1);
+  for (let i = gx - 1; i > 0; i--) ring.push(i);
+  for (let j = 0; j < gy - 1; j++) ring.push(j * gx);
+
+  // Base vertices under the edge loop, then the centre of the bottom
+  const baseStart = gx * gy;
+  for (let k = 0; k < perimeter; k++) {
+    const src = ring[k] * 3;
+    const p = (baseStart + k) * 3;
+    positions[p] = positions[src];
+    positions[p + 1] = positions[src + 1];
+    positions[p + 2] = 0;
+  }
+  const centre = baseStart + perimeter;
+  positions[centre * 3] = (W - 1) * mmPerPixel / 2;
+  positions[centre * 3 + 1] = (H - 1) * mmPerPixel / 2;
+  positions[centre * 3 + 2] = 0;
+
+  const triangles = new Uint32Array((2 * (gx - 1) * (gy - 1) + 3 * perimeter) * 3);
+  let t = 0;
+  const tri = (a, b, c) => {
+    triangles[t++] = a;
+    triangles[t++] = b;
+    triangles[t++] = c;
+  };
+  for (let j = 0; j < gy - 1; j++) {
+    for (let i = 0; i < gx - 1; i++) {
+      const a = j * gx + i;
+      const b = a + 1;
+      const c = a + gx;
+      const d = c + 1;
+      tri(a, c, b);
+      tri(b, c, d);
+    }
+  }
+  for (let k = 0; k < perimeter; k++) {
+    const next = (k + 1) % perimeter;
+    const topA = ring[k];
+    const topB = ring[next];
+    const baseA = baseStart + k;
+    const baseB = baseStart + next;
+    tri(topA, baseA, baseB);
+    tri(topA, baseB, topB);
+    tri(centre, baseB, baseA);
+  }
+  return { positions, triangles };
+}
+
+function encodeStl(mesh) {
+  const { positions, triangles } = mesh;
+  const count = triangles.length / 3;
+  const buf = new ArrayBuffer(84 + count * 50);
+  const view = new DataView(buf);
+  const header = 'Silent Sand garden';
+  for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+  view.setUint32(80, count, true);
+  let off = 84;
+  for (let t = 0; t < triangles.length; t += 3) {
+    const a = triangles[t] * 3;
+    const b = triangles[t + 1] * 3;
+    const c = triangles[t + 2] * 3;
+    const ux = positions[b] - positions[a];
+    const uy = positions[b + 1] - positions[a + 1];
+    const uz = positions[b + 2] - positions[a + 2];
+    const vx = positions[c] - positions[a];
+    const vy = positions[c + 1] - positions[a + 1];
+    const vz = positions[c + 2] - positions[a + 2];
+    let nx = uy * vz - uz * vy;
+    let ny = uz * vx - ux * vz;
+    let nz = ux * vy - uy * vx;
+    const len = Math.hypot(nx, ny, nz) || 1;
+    nx /= len;
+    ny /= len;
+    nz /= len;
+    view.setFloat32(off, nx, true);
+    view.setFloat32(off + 4, ny, true);
+    view.setFloat32(off + 8, nz, true);
+    off += 12;
+    for (const v of [a, b, c]) {
+      view.setFloat32(off, positions[v], true);
+      view.setFloat32(off + 4, positions[v + 1], true);
+      view.setFloat32(off + 8, positions[v + 2], true);
+      off += 12;
+    }
+    off += 2; // attribute byte count
+  }
+  return new Blob([buf], { type: 'model/stl' });
+}
 
-    // Wire up buttons
-    listEl.querySelectorAll('.load-browser-btn').forEach(btn => {
-      btn.onclick = () => loadFromBrowser(Number(btn.dataset.id));
-    });
-    listEl.querySelectorAll('.delete-btn').forEach(btn => {
-      btn.onclick = () => {
-        if (confirm("Delete this save?")) deleteFromBrowser(Number(btn.dataset.id));
-      };
+function encodeObj(mesh) {
+  const { positions, triangles } = mesh;
+  // Built in chunks so a full-detail garden doesn't become one giant string
+  const parts = ['# Silent Sand garden (units: mm)\n'];
+  let lines = [];
+  const flush = () => {
+    parts.push(lines.join('\n') + '\n');
+    lines = [];
+  };
+  for (let p = 0; p < positions.length; p += 3) {
+    lines.push(`v ${positions[p].toFixed(3)} ${positions[p + 1].toFixed(3)} ${positions[p + 2].toFixed(3)}`);
+    if (lines.length === 65536) flush();
+  }
+  for (let t = 0; t < triangles.length; t += 3) {
+    lines.push(`f ${triangles[t] + 1} ${triangles[t + 1] + 1} ${triangles[t + 2] + 1}`);
+    if (lines.length === 65536) flush();
+  }
+  if (lines.length) flush();
+  return new Blob(parts, { type: 'model/obj' });
+}
+
+function exportMeshFile(format) {
+  stopReplay();
+  // Detail is picked in CSS pixels
+  const step = Math.max(1, Math.round(parseInt(meshDetailSelect.value) * pixelRatio));
+  const baseMm = parseFloat(meshBaseSlider.value);
+  const exaggeration = parseFloat(meshExaggerationSlider.value);
+  gtag('event', 'mesh_export', { format, step, base_mm: baseMm, exaggeration });
+  const mesh = buildSandMesh(step, baseMm, exaggeration);
+  const blob = format === 'obj' ? encodeObj(mesh) : encodeStl(mesh);
+  downloadBlob(blob, `${timestampedFilename('zen-garden')}.${format}`);
+}
+
+meshBaseSlider.addEventListener('input', () => {
+  meshBaseLabel.textContent = meshBaseSlider.value;
+});
+meshExaggerationSlider.addEventListener('input', () => {
+  meshExaggerationLabel.textContent = meshExaggerationSlider.value;
+});
+
+// --- SVG export ---
+// Rebuilds the raked paths from the stroke log: one polyline per tine per
+// symmetry copy, using each stroke's own rake and symmetry settings. Only
+// strokes since the last clear are drawn, since the clear wiped the rest.
+const SVG_ALIGN_STEP_PX = 6; // center-aligned rakes turn along the stroke; sample them this finely
+
+function getStrokeSamples(entry) {
+  const align = entry.settings.symmetry.alignCenter;
+  const samples = [];
+  let prev = null;
+  for (const p of entry.points) {
+    if (align && prev) {
+      const dist = Math.hypot(p.x - prev.x, p.y - prev.y);
+      const n = Math.ceil(dist / SVG_ALIGN_STEP_PX);
+      for (let k = 1; k < n; k++) {
+        const x = prev.x + (p.x - prev.x) * k / n;
+        const y = prev.y + (p.y - prev.y) * k / n;
+        const [perpX, perpY] = getPerpAt(x, y);
+        samples.push({ x, y, perpX, perpY });
+      }
+    }
+    const [perpX, perpY] = align ? getPerpAt(p.x, p.y) : [p.perpX, p.perpY];
+    samples.push({ x: p.x, y: p.y, perpX, perpY });
+    prev = p;
+  }
+  return samples;
+}
+
+function isSamePath(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    const dx = a[i][0] - b[i][0];
+    const dy = a[i][1] - b[i][1];
+    if (dx * dx + dy * dy >= 1) return false;
+  }
+  return true;
+}
+
+// Returns [{ width, points: [[x, y], ...] }]
+function collectStrokePaths(log) {
+  // Clears and heightmap imports wipe every groove before them
+  const types = log.entries.map((entry) => entry.type);
+  const lastClear = Math.max(types.lastIndexOf('clear'), types.lastIndexOf('import'));
+  const strokes = log.entries.slice(lastClear + 1).filter((entry) => entry.type === 'stroke' && entry.points.length > 0);
+  const paths = [];
+  for (const entry of strokes) {
+    withStrokeSettings(entry.settings, () => {
+      const tineRadius = cached.tineRadius;
+      // A solid rake is drawn as one bar as wide as the whole rake
+      const tines = entry.settings.solidRake
+        ? [{ offset: 0, radius: getOffsetsHalfWidth(getRakeTineOffsets(tineRadius), tineRadius) }]
+        : getActiveRakeTines(tineRadius);
+      const copies = getStrokeSamples(entry).map((p) => getSymmetryPoints(p.x, p.y, 0, 0, p.perpX, p.perpY, false));
+      const entryPaths = [];
+      for (let c = 0; c < copies[0].length; c++) {
+        for (const { offset, radius } of tines) {
+          const points = copies.map((copy) => [copy[c].x + copy[c].perpX * offset, copy[c].y + copy[c].perpY * offset]);
+          // Copies that land on an axis retrace another copy exactly
+          if (!entryPaths.some((other) => other.width === radius * 2 && isSamePath(other.points, points))) {
+            entryPaths.push({ width: radius * 2, points });
+          }
+        }
+      }
+      paths.push(...entryPaths);
     });
+  }
+  return paths;
+}
+
+function buildStrokeSvg(log, paths) {
+  const fmt = (v) => String(Math.round(v * 10) / 10);
+  const lines = paths.map(({ width, points }) => {
+    const d = points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${fmt(x)} ${fmt(y)}`).join(' ');
+    // A lone point still needs a segment for the round cap to draw a dot
+    return `  <path stroke-width="${fmt(width)}" d="${d}${points.length === 1 ? ' l0 0' : ''}"/>`;
+  });
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${log.w}" height="${log.h}" viewBox="0 0 ${log.w} ${log.h}">`,
+    '<g fill="none" stroke="#5a4a35" stroke-linecap="round" stroke-linejoin="round">',
+    ...lines,
+    '</g>',
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+function exportStrokeSvg() {
+  stopReplay();
+  // Only strokes after the last clear or import are drawn
+  const paths = isChallengeMode() || !strokeLog ? [] : collectStrokePaths(strokeLog);
+  if (paths.length === 0) {
+    alert("Nothing to export yet: the SVG is drawn from the strokes you rake in the sandbox.");
+    return;
+  }
+  gtag('event', 'svg_export', { entries: strokeLog.entries.length });
+  const blob = new Blob([buildStrokeSvg(strokeLog, paths)], { type: 'image/svg+xml' });
+  downloadBlob(blob, `${timestampedFilename('zen-garden')}.svg`);
+}
+
+// --- Still image export ---
+// Renders the garden for any mode through shadeSandRegion, optionally at 2-4x
+// with the fields upsampled and the lighting recomputed at the new size, then
+// adds a watermark and border. The core share image is the default variant.
+const STILL_FORMATS = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+const exportImageModal = document.getElementById('exportImageModal');
+const exportImagePreview = document.getElementById('exportImagePreview');
+const exportImageStatus = document.getElementById('exportImageStatus');
+const stillFormatSelect = document.getElementById('stillFormat');
+const stillScaleSelect = document.getElementById('stillScale');
+const stillWatermarkSelect = document.getElementById('stillWatermark');
+const stillWatermarkText = document.getElementById('stillWatermarkText');
+const stillFrameSelect = document.getElementById('stillFrame');
+let stillPreviewUrl = '';
+
+function renderGardenCanvas(scale) {
+  let fields = getLiveSandFields();
+  if (scale > 1) {
+    const w = W * scale;
+    const h = H * scale;
+    const up = (buf) => (buf ? resampleField(buf, W, H, w, h, 'fit', 0) : null);
+    const noise = new Float32Array(w * h);
+    fillNoise(noise, noiseSeed);
+    // Normals sample `scale` times further so slopes match the live view
+    fields = {
+      w,
+      h,
+      pxScale: fields.pxScale * scale,
+      height: up(sandHeight),
+      r: up(sandR),
+      g: up(sandG),
+      b: up(sandB),
+      noise,
+      normD: fields.normD * scale,
+      invNormD2: fields.invNormD2,
+      quote: diggingMode ? up(quotePixels) : null,
+      slime: slimeMode ? up(slimeDisplayAmount || slimeAmount) : null
+    };
+  }
+  const c = document.createElement('canvas');
+  c.width = fields.w;
+  c.height = fields.h;
+  const cx = c.getContext('2d');
+  const img = cx.createImageData(fields.w, fields.h);
+  shadeSandRegion(img.data, fields, 0, 0, fields.w - 1, fields.h - 1);
+  cx.putImageData(img, 0, 0);
+  return c;
+}
+
+function drawStillWatermark(cx, text, position, box, barH) {
+  cx.save();
+  cx.fillStyle = 'rgba(220, 195, 155, 0.95)';
+  cx.shadowColor = 'rgba(0, 0, 0, 0.4)';
+  cx.shadowBlur = 3;
+  if (position === 'bar') {
+    const barY = box.y + box.h;
+    cx.fillStyle = '#1a1a1a';
+    cx.fillRect(box.x, barY, box.w, barH);
+    cx.fillStyle = 'rgba(90, 74, 53, 0.25)';
+    cx.fillRect(box.x, barY, box.w, 1);
+    const fontSize = Math.max(14, Math.round(barH * 0.5));
+    cx.font = `300 ${fontSize}px "Segoe UI", system-ui, sans-serif`;
+    cx.fillStyle = 'rgba(220, 195, 155, 0.95)';
+    cx.textAlign = 'center';
+    cx.textBaseline = 'middle';
+    cx.fillText(text, box.x + box.w / 2, barY + barH / 2);
+  } else {
+    const fontSize = Math.max(12, Math.round(box.h * 0.04));
+    const pad = fontSize;
+    const right = position.endsWith('right');
+    const bottom = position.startsWith('bottom');
+    cx.font = `300 ${fontSize}px "Segoe UI", system-ui, sans-serif`;
+    cx.textAlign = right ? 'right' : 'left';
+    cx.textBaseline = bottom ? 'bottom' : 'top';
+    cx.fillText(text, right ? box.x + box.w - pad : box.x + pad, bottom ? box.y + box.h - pad : box.y + pad);
+  }
+  cx.restore();
+}
+
+// options: { format, scale, watermark ('none' | 'bar' | 'top-left' | ...), watermarkText, frame ('none' | 'border' | 'framed') }
+function renderStillBlob(options) {
+  const { format, scale, watermark, watermarkText, frame } = options;
+  const garden = renderGardenCanvas(scale);
+  const gw = garden.width;
+  const gh = garden.height;
+  const text = watermark === 'none' ? '' : watermarkText.trim();
+  const barH = text && watermark === 'bar' ? Math.max(32, Math.round(gh * 0.12)) : 0;
+  const border = frame === 'none' ? 0 : Math.round(Math.min(gw, gh) * 0.06);
+
+  const out = document.createElement('canvas');
+  out.width = gw + border * 2;
+  out.height = gh + barH + border * 2;
+  const cx = out.getContext('2d');
+  if (!cx) return Promise.reject(new Error('Export canvas context unavailable'));
+  if (frame === 'framed') {
+    cx.fillStyle = '#1a1a1a';
+    cx.fillRect(0, 0, out.width, out.height);
+    cx.strokeStyle = 'rgba(194, 166, 125, 0.6)';
+    cx.lineWidth = Math.max(1, Math.round(border * 0.06));
+    const inset = Math.round(border * 0.5);
+    cx.strokeRect(inset, inset, out.width - inset * 2, out.height - inset * 2);
+  } else if (frame === 'border' && format === 'jpeg') {
+    // JPEG has no alpha; a transparent border comes out white instead of black
+    cx.fillStyle = '#ffffff';
+    cx.fillRect(0, 0, out.width, out.height);
+  }
+  cx.drawImage(garden, border, border);
+  if (text) drawStillWatermark(cx, text, watermark, { x: border, y: border, w: gw, h: gh }, barH);
+
+  return new Promise((resolve, reject) => {
+    out.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error('Canvas snapshot failed'));
+    }, STILL_FORMATS[format] || 'image/png', 0.92);
+  });
+}
+
+function getStillOptions() {
+  return {
+    format: stillFormatSelect.value,
+    scale: parseInt(stillScaleSelect.value),
+    watermark: stillWatermarkSelect.value,
+    watermarkText: stillWatermarkText.value,
+    frame: stillFrameSelect.value
   };
 }
 
+async function refreshStillPreview() {
+  // The preview is always rendered at 1x; only the download pays for the scale
+  const blob = await renderStillBlob({ ...getStillOptions(), scale: 1 });
+  if (stillPreviewUrl) URL.revokeObjectURL(stillPreviewUrl);
+  stillPreviewUrl = URL.createObjectURL(blob);
+  exportImagePreview.src = stillPreviewUrl;
+  const scale = parseInt(stillScaleSelect.value);
+  exportImageStatus.textContent = `${W * scale} x ${H * scale} px`;
+}
+
+function openExportImageModal() {
+  stopReplay();
+  gtag('event', 'still_export_open');
+  exportImageModal.classList.add('open');
+  exportImageModal.setAttribute('aria-hidden', 'false');
+  refreshStillPreview().catch((e) => { exportImageStatus.textContent = e.message; });
+}
+
+function closeExportImageModal() {
+  exportImageModal.classList.remove('open');
+  exportImageModal.setAttribute('aria-hidden', 'true');
+  exportImagePreview.removeAttribute('src');
+  if (stillPreviewUrl) URL.revokeObjectURL(stillPreviewUrl);
+  stillPreviewUrl = '';
+}
+
+async function downloadStill() {
+  const options = getStillOptions();
+  gtag('event', 'still_export', { format: options.format, scale: options.scale, watermark: options.watermark, frame: options.frame });
+  exportImageStatus.textContent = 'Rendering...';
+  const blob = await renderStillBlob(options);
+  // Browsers without WebP encoding quietly hand back a PNG
+  const ext = blob.type === 'image/jpeg' ? 'jpg' : blob.type === 'image/webp' ? 'webp' : 'png';
+  downloadBlob(blob, `${timestampedFilename('zen-garden')}.${ext}`);
+  exportImageStatus.textContent = blob.type === STILL_FORMATS[options.format]
+    ? 'Saved'
+    : `${options.format.toUpperCase()} isn't supported here, saved as PNG`;
+}
+
 const quickSaveBtn = document.getElementById('quickSaveBtn');
 const saveNameInput = document.getElementById('saveNameInput');
+const exportGardenBtn = document.getElementById('exportGardenBtn');
+const importGardenBtn = document.getElementById('importGardenBtn');
+const importGardenInput = document.getElementById('importGardenInput');
+const exportHeightmapBtn = document.getElementById('exportHeightmapBtn');
+const exportAlbedoBtn = document.getElementById('exportAlbedoBtn');
+const importHeightmapBtn = document.getElementById('importHeightmapBtn');
+const importHeightmapInput = document.getElementById('importHeightmapInput');
 
 quickSaveBtn.onclick = async () => {
   const name = saveNameInput.value.trim();
@@ -3744,13 +7891,135 @@ quickSaveBtn.onclick = async () => {
     await saveToBrowser(name);
     saveNameInput.value = '';
   } catch (e) {
-    alert("Save failed: " + e.message);
+    if (isQuotaError(e)) {
+      gtag('event', 'storage_quota_exceeded');
+      if (confirm("Browser storage is full. Download this garden as a file instead?")) {
+        exportGardenFile(name).catch((err) => alert("Export failed: " + err.message));
+      }
+    } else {
+      alert("Save failed: " + e.message);
+    }
   } finally {
     quickSaveBtn.disabled = false;
     quickSaveBtn.textContent = 'Quick Save';
   }
 };
 
+exportGardenBtn.addEventListener('click', async () => {
+  try {
+    await exportGardenFile(saveNameInput.value.trim());
+  } catch (e) {
+    alert("Export failed: " + e.message);
+  }
+});
+
+importGardenBtn.addEventListener('click', () => importGardenInput.click());
+
+importGardenInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  importGardenInput.value = '';
+  if (!file) return;
+  try {
+    await importGardenFile(file);
+  } catch (err) {
+    console.error('Garden import failed', err);
+    alert("Import failed: " + err.message);
+  }
+});
+
+exportHeightmapBtn.addEventListener('click', () => {
+  exportHeightmapFile().catch((e) => alert("Export failed: " + e.message));
+});
+
+exportAlbedoBtn.addEventListener('click', () => {
+  exportAlbedoFile().catch((e) => alert("Export failed: " + e.message));
+});
+
+importHeightmapBtn.addEventListener('click', () => importHeightmapInput.click());
+
+importHeightmapInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  importHeightmapInput.value = '';
+  if (!file) return;
+  try {
+    await importHeightmapFile(file);
+  } catch (err) {
+    console.error('Heightmap import failed', err);
+    alert("Import failed: " + err.message);
+  }
+});
+
+document.getElementById('exportSvgBtn').addEventListener('click', exportStrokeSvg);
+document.getElementById('exportImageBtn').addEventListener('click', openExportImageModal);
+document.getElementById('exportImageClose').addEventListener('click', closeExportImageModal);
+exportImageModal.addEventListener('click', (e) => {
+  if (e.target === exportImageModal) closeExportImageModal();
+});
+document.getElementById('exportImageDownloadBtn').addEventListener('click', () => {
+  downloadStill().catch((e) => { exportImageStatus.textContent = `Export failed: ${e.message}`; });
+});
+[stillFormatSelect, stillScaleSelect, stillWatermarkSelect, stillWatermarkText, stillFrameSelect].forEach((el) => {
+  el.addEventListener(el === stillWatermarkText ? 'input' : 'change', () => {
+    stillWatermarkText.disabled = stillWatermarkSelect.value === 'none';
+    saveSettings();
+    refreshStillPreview().catch((e) => { exportImageStatus.textContent = e.message; });
+  });
+});
+document.getElementById('exportStlBtn').addEventListener('click', () => exportMeshFile('stl'));
+document.getElementById('exportObjBtn').addEventListener('click', () => exportMeshFile('obj'));
+
+// --- Replay controls ---
+const replayPlayBtn = document.getElementById('replayPlayBtn');
+const replayStepBtn = document.getElementById('replayStepBtn');
+const replayStopBtn = document.getElementById('replayStopBtn');
+const replaySeekEl = document.getElementById('replaySeek');
+const replayStatusEl = document.getElementById('replayStatus');
+
+function updateReplayUI() {
+  const rs = replayState;
+  if (!rs) {
+    replayPlayBtn.textContent = 'Replay';
+    replayPlayBtn.disabled = false;
+    replayStepBtn.disabled = true;
+    replayStopBtn.disabled = true;
+    replaySeekEl.disabled = true;
+    replaySeekEl.max = 0;
+    replaySeekEl.value = 0;
+    replayStatusEl.textContent = '';
+    return;
+  }
+  const total = rs.log.entries.length;
+  replayPlayBtn.textContent = rs.playing ? 'Pause' : 'Play';
+  replayPlayBtn.disabled = false;
+  replayStepBtn.disabled = rs.index >= total;
+  replayStopBtn.disabled = false;
+  replaySeekEl.disabled = false;
+  replaySeekEl.max = total;
+  replaySeekEl.value = rs.index;
+  replayStatusEl.textContent = `${rs.index} / ${total}`;
+}
+
+replayPlayBtn.addEventListener('click', () => {
+  if (!replayState) {
+    if (!startReplay()) {
+      replayStatusEl.textContent = isChallengeMode() ? 'Zen mode only' : 'Nothing to replay';
+      return;
+    }
+    gtag('event', 'replay_start', { entries: replayState.log.entries.length });
+    replayPlay();
+  } else if (replayState.playing) {
+    replayPause();
+  } else {
+    replayPlay();
+  }
+});
+replayStepBtn.addEventListener('click', replayStep);
+replayStopBtn.addEventListener('click', stopReplay);
+replaySeekEl.addEventListener('input', () => {
+  replayPause();
+  replaySeek(parseInt(replaySeekEl.value, 10));
+});
+
 // --- Timelapse Recording ---
 const tlRecordBtn = document.getElementById('tlRecordBtn');
 const tlModeSelect = document.getElementById('tlMode');
@@ -3778,6 +8047,8 @@ function tlDrawWatermark() {
   tlCtx.fillText('S I L E N T S A N D . M E', W / 2, barH / 2);
   tlCtx.restore();
   // Copy the main canvas below the watermark bar
+  const sandLayer = getSandLayer();
+  if (sandLayer) tlCtx.drawImage(sandLayer, 0, barH);
   tlCtx.drawImage(canvas, 0, barH);
 }
 
@@ -3887,18 +8158,7 @@ function tlFinalize() {
   const blob = new Blob(tlChunks, { type: tlRecorder ? tlRecorder.mimeType : 'video/webm' });
   tlChunks = [];
 
-  const now = new Date();
-  const pad = (n) => String(n).padStart(2, '0');
-  const filename = `zen-garden-${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}.webm`;
-
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  downloadBlob(blob, `${timestampedFilename('zen-garden')}.webm`);
 }
 
 function tlUpdateStatus() {
@@ -3985,6 +8245,8 @@ function abortIntro() {
   introPlaying = false;
   introAnimId = null;
   drawing = false;
+  endStrokeRecord();
+  closeHistoryEntry();
 }
 
 function playIntroAnimation() {
@@ -4024,6 +8286,7 @@ function playIntroAnimation() {
       const [sx, sy] = bezier(0);
       lastX = sx; lastY = sy;
       strokeDX = 0; strokeDY = 0;
+      beginStrokeRecord('intro', sx, sy, false);
     }
 
     const elapsed = ts - startTs;
@@ -4040,6 +8303,8 @@ function playIntroAnimation() {
       introPlaying = false;
       introAnimId = null;
       drawing = false;
+      endStrokeRecord();
+      closeHistoryEntry();
     }
   }
 
@@ -4239,10 +8504,12 @@ function initRemindersTab() {
 // --- Init ---
 setupSliders();
 loadSettings();
-const initialGardenWidth = isMobile ? Math.min(1120, window.innerWidth) : canvas.width;
-const initialGardenHeight = isMobile ? Math.min(630, Math.floor(window.innerHeight * 0.65)) : canvas.height;
-initGarden(initialGardenWidth, initialGardenHeight);
+gardenCssW = isMobile ? Math.min(1120, window.innerWidth) : canvas.width;
+gardenCssH = isMobile ? Math.min(630, Math.floor(window.innerHeight * 0.65)) : canvas.height;
+sizeGardenCanvas();
+updateSymmetryLines();
 rebuildGaussKernel();
+resetStrokeLog();
 clearSand();
 playIntroAnimation();
 registerServiceWorker().then(() => { if (!isMobile) initRemindersTab(); });